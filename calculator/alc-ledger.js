@@ -0,0 +1,273 @@
+/**
+ * ALC Ledger Module
+ * Double-entry accounts and wallet balances for Andy Lian Coin
+ */
+
+class ALCLedger {
+  constructor(alcMarket, tokenData) {
+    const coin = tokenData?.andy_lian_coin || {};
+
+    // Balances and supply are integer micro-ALC
+    this.market = alcMarket;
+    this.units = alcMarket.units;
+    this.circulatingMicro = this.units.toMicro(coin.circulating_supply || 0);
+    this.maxSupplyMicro = coin.max_supply ? this.units.toMicro(coin.max_supply) : Infinity;
+    this.accounts = new Map();
+    this.transactions = [];
+
+    // System accounts balance every user entry:
+    // minting debits the mint, spending credits the treasury
+    this.mintAccount = 'system:mint';
+    this.treasuryAccount = 'system:treasury';
+    this.openAccount(this.mintAccount, { system: true });
+    this.openAccount(this.treasuryAccount, { system: true });
+  }
+
+  /**
+   * Open a wallet account (no-op if it already exists)
+   */
+  openAccount(accountId, options = {}) {
+    if (!this.accounts.has(accountId)) {
+      this.accounts.set(accountId, {
+        id: accountId,
+        balanceMicro: 0,
+        system: options.system === true,
+        opened: options.time ?? Date.now()
+      });
+    }
+
+    return this.getBalance(accountId);
+  }
+
+  /**
+   * Get the balance of an account
+   */
+  getBalance(accountId) {
+    const account = this.accounts.get(accountId);
+
+    if (!account) {
+      return { error: `Unknown account: ${accountId}` };
+    }
+
+    const usdValue = this.units.toUSD(account.balanceMicro, this.market.currentValue);
+
+    return {
+      account: accountId,
+      balance_alc: this.units.fromMicro(account.balanceMicro),
+      balance_micro: account.balanceMicro,
+      usd_value: usdValue,
+      system_account: account.system,
+      display: {
+        balance: this.units.formatALC(account.balanceMicro),
+        usd_value: this.units.formatUSD(usdValue)
+      }
+    };
+  }
+
+  /**
+   * Credit a user with ALC earned for an activity (mints new supply)
+   */
+  creditEarnings(userId, activityType, time = Date.now()) {
+    const earnings = this.market.calculateEarnings(activityType);
+
+    if (earnings.error) {
+      return earnings;
+    }
+
+    const amount = earnings.alc_earned_micro;
+    if (this.circulatingMicro + amount > this.maxSupplyMicro) {
+      return {
+        error: 'Max supply reached',
+        requested_alc: this.units.fromMicro(amount),
+        circulating_supply: this.units.fromMicro(this.circulatingMicro),
+        max_supply: this.units.fromMicro(this.maxSupplyMicro)
+      };
+    }
+
+    this.openAccount(userId, { time });
+    const transaction = this.postTransaction({
+      type: 'earn',
+      reference: activityType,
+      debit: this.mintAccount,
+      credit: userId,
+      amount,
+      time
+    });
+    this.circulatingMicro += amount;
+
+    return {
+      credited: true,
+      transaction_id: transaction.id,
+      user: userId,
+      activity: activityType,
+      alc_earned: this.units.fromMicro(amount),
+      alc_earned_micro: amount,
+      new_balance: this.units.fromMicro(this.accounts.get(userId).balanceMicro),
+      new_balance_micro: this.accounts.get(userId).balanceMicro,
+      circulating_supply: this.units.fromMicro(this.circulatingMicro)
+    };
+  }
+
+  /**
+   * Debit a user for a purchase (refused when funds are short)
+   */
+  debitPurchase(userId, itemType, options = {}) {
+    const cost = this.market.calculateCost(itemType, { ...options, user: userId });
+
+    if (cost.error) {
+      return cost;
+    }
+
+    const account = this.accounts.get(userId);
+    const balance = account ? account.balanceMicro : 0;
+    const amount = cost.alc_cost_micro;
+
+    if (balance < amount) {
+      return {
+        error: 'Insufficient funds',
+        user: userId,
+        item: itemType,
+        required_alc: this.units.fromMicro(amount),
+        balance_alc: this.units.fromMicro(balance),
+        shortfall_alc: this.units.fromMicro(amount - balance)
+      };
+    }
+
+    const transaction = this.postTransaction({
+      type: 'spend',
+      reference: itemType,
+      debit: userId,
+      credit: this.treasuryAccount,
+      amount,
+      time: options.time
+    });
+    this.market.recordTrade(amount, options.time);
+
+    // Record promo code usage once the purchase has gone through
+    const promo = cost.promo
+      ? this.market.promoCodes.redeem(options.promoCodes, {
+        item: itemType,
+        quantity: cost.quantity,
+        priceMicro: cost.promo.list_price_micro,
+        user: userId,
+        time: options.time
+      })
+      : null;
+
+    return {
+      debited: true,
+      transaction_id: transaction.id,
+      user: userId,
+      item: itemType,
+      alc_spent: this.units.fromMicro(amount),
+      alc_spent_micro: amount,
+      new_balance: this.units.fromMicro(account.balanceMicro),
+      new_balance_micro: account.balanceMicro,
+      promo_redemption: promo ? promo.redemption : null
+    };
+  }
+
+  /**
+   * Record a balanced debit/credit pair and apply it to both accounts
+   */
+  postTransaction({ type, reference, debit, credit, amount, time = Date.now() }) {
+    const transaction = {
+      id: `tx-${this.transactions.length + 1}`,
+      type,
+      reference,
+      amount_micro: amount,
+      entries: [
+        { account: debit, debit_micro: amount, credit_micro: 0 },
+        { account: credit, debit_micro: 0, credit_micro: amount }
+      ],
+      timestamp: time
+    };
+
+    this.accounts.get(debit).balanceMicro -= amount;
+    this.accounts.get(credit).balanceMicro += amount;
+    this.transactions.push(transaction);
+
+    return transaction;
+  }
+
+  /**
+   * Get transaction history, optionally for a single account
+   */
+  getTransactionHistory(accountId = null, limit = 50) {
+    const transactions = accountId
+      ? this.transactions.filter(t => t.entries.some(e => e.account === accountId))
+      : this.transactions;
+
+    return {
+      account: accountId,
+      transactions: transactions.slice(-limit),
+      total_transactions: transactions.length
+    };
+  }
+
+  /**
+   * Verify that all debits equal all credits
+   */
+  verifyBalanced() {
+    let totalDebits = 0;
+    let totalCredits = 0;
+
+    this.transactions.forEach(t => {
+      t.entries.forEach(e => {
+        totalDebits += e.debit_micro;
+        totalCredits += e.credit_micro;
+      });
+    });
+
+    const balanceSum = Array.from(this.accounts.values())
+      .reduce((sum, a) => sum + a.balanceMicro, 0);
+
+    return {
+      balanced: totalDebits === totalCredits && balanceSum === 0,
+      total_debits_micro: totalDebits,
+      total_credits_micro: totalCredits,
+      account_balance_sum_micro: balanceSum
+    };
+  }
+
+  /**
+   * Get supply status against the token cap
+   */
+  getSupplyStatus() {
+    return {
+      circulating_supply: this.units.fromMicro(this.circulatingMicro),
+      max_supply: this.units.fromMicro(this.maxSupplyMicro),
+      remaining_mintable: this.units.fromMicro(this.maxSupplyMicro - this.circulatingMicro),
+      minted_via_ledger: this.units.fromMicro(-this.accounts.get(this.mintAccount).balanceMicro),
+      spent_to_treasury: this.units.fromMicro(this.accounts.get(this.treasuryAccount).balanceMicro),
+      user_accounts: Array.from(this.accounts.values()).filter(a => !a.system).length
+    };
+  }
+
+  /**
+   * Export ledger state for snapshots
+   */
+  exportState() {
+    return {
+      circulating_supply_micro: this.circulatingMicro,
+      max_supply_micro: this.maxSupplyMicro === Infinity ? null : this.maxSupplyMicro,
+      accounts: Array.from(this.accounts.values()).map(a => ({ ...a })),
+      transactions: this.transactions.slice()
+    };
+  }
+
+  /**
+   * Restore ledger state from a snapshot
+   */
+  importState(state) {
+    this.circulatingMicro = state.circulating_supply_micro;
+    this.maxSupplyMicro = state.max_supply_micro === null ? Infinity : state.max_supply_micro;
+    this.accounts = new Map(state.accounts.map(a => [a.id, { ...a }]));
+    this.transactions = state.transactions.slice();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ALCLedger;
+}
@@ -4,22 +4,45 @@
  */
 
 class ALCMarket {
-  constructor(pricingConfig) {
+  constructor(pricingConfig, fairPricing = null) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+    const Discounts = typeof DiscountEngine !== 'undefined' ? DiscountEngine : require('./discount-engine');
+    const Promos = typeof PromoCodes !== 'undefined' ? PromoCodes : require('./promo-codes');
+    const Currency = typeof CurrencyConverter !== 'undefined' ? CurrencyConverter : require('./currency-converter');
+    const History = typeof ALCPriceHistory !== 'undefined' ? ALCPriceHistory : require('./alc-price-history');
+    const Pool = typeof LiquidityPool !== 'undefined' ? LiquidityPool : require('./liquidity-pool');
+
+    this.units = new Units(pricingConfig);
+    this.discounts = new Discounts(pricingConfig, fairPricing);
+    this.promoCodes = new Promos(pricingConfig, fairPricing);
     this.config = pricingConfig.andy_lian_coin;
     this.currentValue = this.config.current_usd_value;
-    this.dailyVolume = this.config.daily_volume;
-    this.trendPercent = this.config.trend_percent;
+    this.trendPercent = 0; // change from the last market adjustment
     this.volatility = this.config.market_forces.volatility;
+    this.currency = new Currency(this);
+    this.history = new History(pricingConfig);
+    this.history.recordValue(this.currentValue);
+    this.fairPricing = fairPricing;
+
+    // 'oracle': value moves with reported supply/demand; 'amm': value is read from pool reserves
+    this.mode = pricingConfig.market_maker?.mode || 'oracle';
+    this.pool = this.mode === 'amm' ? new Pool(pricingConfig, fairPricing) : null;
+    if (this.pool) {
+      this.currentValue = this.pool.getPrice();
+    }
   }
 
   /**
    * Get current ALC value in USD
    */
-  getCurrentValue() {
+  getCurrentValue(time = Date.now()) {
+    const day = this.history.intervals['1d'];
+
     return {
       alc_usd: this.currentValue,
-      volume: this.dailyVolume,
-      trend: this.trendPercent,
+      volume: this.units.fromMicro(this.history.getVolumeMicro(day, time)),
+      trend: this.units.roundTo(this.history.getTrend(day, time), 2),
+      fiat: this.currency.convertToMany(this.units.toMicro(1)),
       formatted: `1 ALC = $${this.currentValue.toFixed(2)} USD`
     };
   }
@@ -32,83 +55,311 @@ class ALCMarket {
     if (!rate) {
       return { error: `Unknown activity type: ${activityType}` };
     }
+
+    const earnedMicro = this.units.toMicro(rate);
+    const usdValue = this.units.toUSD(earnedMicro, this.currentValue);
     
     return {
       activity: activityType,
-      alc_earned: rate,
-      usd_value: (rate * this.currentValue).toFixed(2),
-      message: `Earned ${rate} ALC for ${activityType.replace(/_/g, ' ')}`
+      alc_earned: this.units.fromMicro(earnedMicro),
+      alc_earned_micro: earnedMicro,
+      usd_value: usdValue,
+      message: `Earned ${rate} ALC for ${activityType.replace(/_/g, ' ')}`,
+      display: {
+        alc_earned: this.units.formatALC(earnedMicro),
+        usd_value: this.units.formatUSD(usdValue)
+      }
     };
   }
 
   /**
-   * Calculate cost for a purchase
+   * Calculate cost for a purchase (quantity tiers apply to bulk orders, then promo codes)
    */
-  calculateCost(itemType) {
+  calculateCost(itemType, options = {}) {
+    const { quantity = 1, promoCodes = [], user = null, time = Date.now() } = options;
     const cost = this.config.spend_costs[itemType];
     if (!cost) {
       return { error: `Unknown item type: ${itemType}` };
     }
+
+    const priced = this.discounts.applyQuantityDiscount(this.units.toMicro(cost), quantity);
+    let promo = null;
+
+    if (promoCodes.length > 0) {
+      promo = this.promoCodes.evaluate(promoCodes, {
+        item: itemType,
+        quantity,
+        priceMicro: priced.total_micro,
+        user,
+        time
+      });
+
+      if (!promo.valid) {
+        return { error: 'Promo code rejected', item: itemType, promo_errors: promo.errors };
+      }
+    }
+
+    const costMicro = promo ? promo.total_micro : priced.total_micro;
+    const usdValue = this.units.toUSD(costMicro, this.currentValue);
+    const label = itemType.replace(/_/g, ' ');
     
     return {
       item: itemType,
-      alc_cost: cost,
-      usd_value: (cost * this.currentValue).toFixed(2),
-      message: `${itemType.replace(/_/g, ' ')} costs ${cost} ALC`
+      quantity,
+      alc_cost: this.units.fromMicro(costMicro),
+      alc_cost_micro: costMicro,
+      list_price_micro: priced.subtotal_micro,
+      discount_micro: priced.subtotal_micro - costMicro,
+      discount_tier: priced.tier,
+      promo,
+      usd_value: usdValue,
+      message: quantity === 1
+        ? `${label} costs ${this.units.fromMicro(costMicro)} ALC`
+        : `${quantity} x ${label} costs ${this.units.fromMicro(costMicro)} ALC`,
+      mrw_status: priced.discount_micro > 0 ? 'bulk_discount_applied' : null,
+      display: {
+        alc_cost: this.units.formatALC(costMicro),
+        discount: this.units.formatALC(priced.subtotal_micro - costMicro),
+        usd_value: this.units.formatUSD(usdValue)
+      }
+    };
+  }
+
+  /**
+   * Calculate cost for a cart of items ({ item: quantity }), applying bundles
+   */
+  calculateCartCost(cart) {
+    const priced = this.discounts.priceCart(cart);
+
+    if (priced.error) {
+      return priced;
+    }
+
+    const usdValue = this.units.toUSD(priced.total_micro, this.currentValue);
+
+    return {
+      cart,
+      lines: priced.lines,
+      bundles_applied: priced.bundles_applied,
+      alc_cost: this.units.fromMicro(priced.total_micro),
+      alc_cost_micro: priced.total_micro,
+      list_price_micro: priced.subtotal_micro,
+      discount_micro: priced.discount_micro,
+      usd_value: usdValue,
+      mrw_status: priced.discount_applied ? 'bulk_discount_applied' : null,
+      display: {
+        alc_cost: this.units.formatALC(priced.total_micro),
+        discount: this.units.formatALC(priced.discount_micro),
+        usd_value: this.units.formatUSD(usdValue)
+      }
     };
   }
 
   /**
    * Update market value based on supply and demand
    */
-  adjustMarketValue(supplyDemandRatio) {
+  adjustMarketValue(supplyDemandRatio, time = Date.now()) {
+    if (this.pool) {
+      return { error: 'Market value is set by the liquidity pool in amm mode', mode: this.mode };
+    }
+
     const oldValue = this.currentValue;
     
     // High demand (ratio > 1) increases price
     // High supply (ratio < 1) decreases price
     const adjustment = (supplyDemandRatio - 1) * this.volatility;
-    this.currentValue += this.currentValue * adjustment;
+    this.setCurrentValue(this.units.roundTo(this.currentValue + this.currentValue * adjustment, 6), time);
     
-    // Calculate trend
+    // Change from this adjustment (windowed trends come from the price history)
     this.trendPercent = ((this.currentValue - oldValue) / oldValue) * 100;
     
     return {
-      old_value: oldValue.toFixed(2),
-      new_value: this.currentValue.toFixed(2),
-      change_percent: this.trendPercent.toFixed(2),
-      market_condition: supplyDemandRatio > 1 ? 'high_demand' : supplyDemandRatio < 1 ? 'abundant_supply' : 'stable'
+      old_value: oldValue,
+      new_value: this.currentValue,
+      change_percent: this.units.roundTo(this.trendPercent, 2),
+      market_condition: supplyDemandRatio > 1 ? 'high_demand' : supplyDemandRatio < 1 ? 'abundant_supply' : 'stable',
+      display: {
+        old_value: this.units.formatUSD(oldValue),
+        new_value: this.units.formatUSD(this.currentValue),
+        change_percent: this.units.formatPercent(this.trendPercent, 2)
+      }
     };
   }
 
   /**
    * Stabilize market via mongoose learning
    */
-  stabilizeMarket() {
+  stabilizeMarket(time = Date.now()) {
+    if (this.pool) {
+      return { error: 'Market value is set by the liquidity pool in amm mode', mode: this.mode };
+    }
+
     const targetValue = this.config.current_usd_value;
     const stabilizationRate = 0.1;
     
     // Gradually move towards target value
-    this.currentValue += (targetValue - this.currentValue) * stabilizationRate;
+    this.setCurrentValue(this.units.roundTo(this.currentValue + (targetValue - this.currentValue) * stabilizationRate, 6), time);
     
     return {
-      stabilized_value: this.currentValue.toFixed(2),
-      target_value: targetValue.toFixed(2),
-      status: 'stabilizing_via_mongoose_learning'
+      stabilized_value: this.currentValue,
+      target_value: targetValue,
+      status: 'stabilizing_via_mongoose_learning',
+      display: {
+        stabilized_value: this.units.formatUSD(this.currentValue),
+        target_value: this.units.formatUSD(targetValue)
+      }
     };
   }
 
   /**
-   * Get market summary for dashboard
+   * Set the ALC value and record it in the price history
+   */
+  setCurrentValue(value, time = Date.now()) {
+    this.currentValue = value;
+    this.history.recordValue(value, time);
+    return value;
+  }
+
+  /**
+   * Quote an ALC/USD swap against the pool (amm mode)
+   */
+  quoteSwap(side, amountIn, options = {}) {
+    if (!this.pool) {
+      return { error: 'Swaps are only available in amm mode', mode: this.mode };
+    }
+    return this.pool.quoteSwap(side, amountIn, options);
+  }
+
+  /**
+   * Execute a swap and move the ALC value to the pool price (amm mode)
    */
-  getMarketSummary() {
+  swap(side, amountIn, options = {}) {
+    if (!this.pool) {
+      return { swapped: false, error: 'Swaps are only available in amm mode', mode: this.mode };
+    }
+
+    const time = options.time || Date.now();
+    const oldValue = this.currentValue;
+    const result = this.pool.swap(side, amountIn, { ...options, time });
+
+    if (!result.swapped) {
+      return result;
+    }
+
+    this.setCurrentValue(this.pool.getPrice(), time);
+    this.trendPercent = ((this.currentValue - oldValue) / oldValue) * 100;
+    this.recordTrade(result.swap.alc_volume_micro, time);
+
+    // Keep the fair pricing ALC/USD series in step with the pool
+    if (this.fairPricing) {
+      this.fairPricing.validatePrice(this.currentValue);
+    }
+
     return {
-      current_value: this.currentValue.toFixed(2),
-      daily_volume: this.dailyVolume,
-      trend: `${this.trendPercent > 0 ? '📈' : '📉'} ${Math.abs(this.trendPercent).toFixed(1)}% today`,
+      ...result,
+      old_value: oldValue,
+      new_value: this.currentValue,
+      change_percent: this.units.roundTo(this.trendPercent, 2)
+    };
+  }
+
+  /**
+   * Add ALC/USD liquidity to the pool (amm mode)
+   */
+  addLiquidity(provider, alcAmount, usdAmount, time = Date.now()) {
+    if (!this.pool) {
+      return { added: false, error: 'Liquidity is only available in amm mode', mode: this.mode };
+    }
+    const result = this.pool.addLiquidity(provider, alcAmount, usdAmount);
+    if (result.added) {
+      this.syncPoolPrice(time);
+    }
+    return result;
+  }
+
+  /**
+   * Withdraw ALC/USD liquidity from the pool (amm mode)
+   */
+  removeLiquidity(provider, shares, time = Date.now()) {
+    if (!this.pool) {
+      return { removed: false, error: 'Liquidity is only available in amm mode', mode: this.mode };
+    }
+    const result = this.pool.removeLiquidity(provider, shares);
+    if (result.removed) {
+      this.syncPoolPrice(time);
+    }
+    return result;
+  }
+
+  /**
+   * Follow the pool price after liquidity changes (rounding can move it by a micro-dollar)
+   */
+  syncPoolPrice(time = Date.now()) {
+    if (this.pool.getPrice() !== this.currentValue) {
+      this.setCurrentValue(this.pool.getPrice(), time);
+    }
+  }
+
+  /**
+   * Record ALC spent on a purchase as a trade at the current value
+   */
+  recordTrade(alcMicro, time = Date.now()) {
+    return this.history.recordTrade(this.currentValue, alcMicro, time);
+  }
+
+  /**
+   * OHLC candles for charting a time range ({ interval: '1m'|'1h'|'1d', from, to, fill })
+   */
+  getPriceChart(options = {}) {
+    const { interval = '1h', ...range } = options;
+    return this.history.getCandles(interval, range);
+  }
+
+  /**
+   * Get market summary for dashboard (trend and volume over the trailing 24 hours)
+   */
+  getMarketSummary(currencies = this.currency.displayCurrencies, time = Date.now()) {
+    const day = this.history.intervals['1d'];
+    const trendPercent = this.history.getTrend(day, time);
+    const volumeMicro = this.history.getVolumeMicro(day, time);
+
+    return {
+      current_value: this.currentValue,
+      mode: this.mode,
+      pool: this.pool ? this.pool.getPoolState() : null,
+      current_value_fiat: this.currency.convertToMany(this.units.toMicro(1), currencies),
+      daily_volume: this.units.fromMicro(volumeMicro),
+      daily_volume_micro: volumeMicro,
+      trend_percent: this.units.roundTo(trendPercent, 2),
+      trend: `${trendPercent > 0 ? '📈' : '📉'} ${Math.abs(trendPercent).toFixed(1)}% (24h)`,
+      last_change_percent: this.units.roundTo(this.trendPercent, 2),
       earn_rates: this.config.earn_rates,
-      spend_costs: this.config.spend_costs
+      spend_costs: this.config.spend_costs,
+      display: {
+        current_value: this.units.formatUSD(this.currentValue),
+        daily_volume: this.units.formatALC(volumeMicro),
+        trend_percent: this.units.formatPercent(trendPercent, 2)
+      }
     };
   }
+
+  /**
+   * Export market state for snapshots
+   */
+  exportState() {
+    return {
+      current_value: this.currentValue,
+      trend_percent: this.trendPercent
+    };
+  }
+
+  /**
+   * Restore market state from a snapshot
+   */
+  importState(state) {
+    this.currentValue = state.current_value;
+    this.trendPercent = state.trend_percent;
+  }
 }
 
 // Export for use in other modules
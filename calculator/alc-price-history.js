@@ -0,0 +1,205 @@
+/**
+ * ALC Price History Module
+ * Records value changes and trades as ticks and aggregates them into OHLC candles
+ */
+
+const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+class ALCPriceHistory {
+  constructor(pricingConfig) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+    const history = pricingConfig.price_history || {};
+
+    this.units = new Units(pricingConfig);
+    this.ticks = [];
+    this.retentionMs = history.retention_ms || 30 * CANDLE_INTERVALS['1d'];
+    this.maxTicks = history.max_ticks || 50000;
+    this.intervals = CANDLE_INTERVALS;
+  }
+
+  /**
+   * Record a change in the ALC/USD value
+   */
+  recordValue(price, time = Date.now()) {
+    const last = this.ticks[this.ticks.length - 1];
+
+    // A correction at the same instant replaces the previous value tick
+    if (last && last.type === 'value' && last.time === time) {
+      last.price = price;
+      return last;
+    }
+
+    return this.appendTick({ type: 'value', time, price, volume_micro: 0 });
+  }
+
+  /**
+   * Record a trade of micro-ALC volume at the current price
+   */
+  recordTrade(price, volumeMicro, time = Date.now()) {
+    return this.appendTick({ type: 'trade', time, price, volume_micro: volumeMicro });
+  }
+
+  /**
+   * Append a tick in time order and enforce retention
+   */
+  appendTick(tick) {
+    let index = this.ticks.length;
+    while (index > 0 && this.ticks[index - 1].time > tick.time) {
+      index--;
+    }
+    this.ticks.splice(index, 0, tick);
+
+    const cutoff = this.ticks[this.ticks.length - 1].time - this.retentionMs;
+    while (this.ticks.length > 1 && (this.ticks[0].time < cutoff || this.ticks.length > this.maxTicks)) {
+      this.ticks.shift();
+    }
+
+    return tick;
+  }
+
+  /**
+   * Ticks within a time range
+   */
+  getTicks(from = 0, to = Infinity) {
+    return this.ticks.filter(t => t.time >= from && t.time <= to);
+  }
+
+  /**
+   * Last known price at or before a time
+   */
+  priceAt(time) {
+    let price = null;
+
+    for (const tick of this.ticks) {
+      if (tick.time > time) {
+        break;
+      }
+      price = tick.price;
+    }
+
+    return price;
+  }
+
+  /**
+   * Aggregate ticks into OHLC candles with volume
+   */
+  getCandles(interval = '1h', options = {}) {
+    const size = this.intervals[interval];
+
+    if (!size) {
+      return { error: `Unknown interval: ${interval}`, available_intervals: Object.keys(this.intervals) };
+    }
+
+    const { from = 0, to = Date.now(), fill = false } = options;
+    const buckets = new Map();
+
+    this.getTicks(from, to).forEach(tick => {
+      const start = Math.floor(tick.time / size) * size;
+      const candle = buckets.get(start);
+
+      if (!candle) {
+        buckets.set(start, {
+          start,
+          end: start + size,
+          open: tick.price,
+          high: tick.price,
+          low: tick.price,
+          close: tick.price,
+          volume_micro: tick.volume_micro,
+          trades: tick.type === 'trade' ? 1 : 0
+        });
+        return;
+      }
+
+      candle.high = Math.max(candle.high, tick.price);
+      candle.low = Math.min(candle.low, tick.price);
+      candle.close = tick.price;
+      candle.volume_micro += tick.volume_micro;
+      candle.trades += tick.type === 'trade' ? 1 : 0;
+    });
+
+    let candles = Array.from(buckets.values()).sort((a, b) => a.start - b.start);
+
+    // Fill gaps with flat candles at the previous close for charting
+    if (fill && candles.length > 1) {
+      const filled = [candles[0]];
+      for (let i = 1; i < candles.length; i++) {
+        const previous = filled[filled.length - 1];
+        for (let start = previous.end; start < candles[i].start; start += size) {
+          filled.push({
+            start,
+            end: start + size,
+            open: previous.close,
+            high: previous.close,
+            low: previous.close,
+            close: previous.close,
+            volume_micro: 0,
+            trades: 0
+          });
+        }
+        filled.push(candles[i]);
+      }
+      candles = filled;
+    }
+
+    return {
+      interval,
+      from,
+      to,
+      candles: candles.map(c => ({ ...c, volume: this.units.fromMicro(c.volume_micro) }))
+    };
+  }
+
+  /**
+   * Percent change in value over a trailing window
+   */
+  getTrend(windowMs = CANDLE_INTERVALS['1d'], now = Date.now()) {
+    const latest = this.priceAt(now);
+    const windowStart = now - windowMs;
+    let opening = this.priceAt(windowStart);
+
+    // No tick before the window: measure from the first tick inside it
+    if (opening === null) {
+      const first = this.ticks.find(t => t.time >= windowStart && t.time <= now);
+      opening = first ? first.price : null;
+    }
+
+    if (latest === null || opening === null || opening === 0) {
+      return 0;
+    }
+
+    return ((latest - opening) / opening) * 100;
+  }
+
+  /**
+   * Traded micro-ALC volume over a trailing window
+   */
+  getVolumeMicro(windowMs = CANDLE_INTERVALS['1d'], now = Date.now()) {
+    return this.getTicks(now - windowMs, now).reduce((sum, t) => sum + t.volume_micro, 0);
+  }
+
+  /**
+   * Export ticks for snapshots
+   */
+  exportState() {
+    return {
+      ticks: this.ticks.map(t => ({ ...t }))
+    };
+  }
+
+  /**
+   * Restore ticks from a snapshot
+   */
+  importState(state) {
+    this.ticks = state.ticks.map(t => ({ ...t }));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ALCPriceHistory;
+}
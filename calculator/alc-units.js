@@ -0,0 +1,138 @@
+/**
+ * ALC Units Module
+ * Exact fixed-point arithmetic in integer micro-ALC with configurable rounding
+ */
+
+const MICRO_PER_ALC = 1000000;
+
+class ALCUnits {
+  constructor(config) {
+    const arithmetic = config?.arithmetic || {};
+
+    this.microPerAlc = MICRO_PER_ALC;
+    this.roundingMode = arithmetic.rounding_mode || 'half_even';
+    this.usdDecimals = arithmetic.usd_decimals ?? 2;
+    this.displayDecimals = arithmetic.display_decimals ?? 2;
+  }
+
+  /**
+   * Round a number to an integer using a rounding mode
+   * (half_even, half_up, floor, ceil, truncate)
+   */
+  roundInteger(value, mode = this.roundingMode) {
+    // Absorb float noise such as 0.1 * 1e6 = 100000.00000000001
+    const nearest = Math.round(value);
+    if (Math.abs(value - nearest) < 1e-7) {
+      return nearest;
+    }
+
+    const floor = Math.floor(value);
+    const fraction = value - floor;
+
+    switch (mode) {
+      case 'floor':
+        return floor;
+      case 'ceil':
+        return floor + 1;
+      case 'truncate':
+        return value < 0 ? floor + 1 : floor;
+      case 'half_up':
+        return fraction >= 0.5 ? floor + 1 : floor;
+      case 'half_even':
+      default:
+        if (Math.abs(fraction - 0.5) < 1e-9) {
+          return floor % 2 === 0 ? floor : floor + 1;
+        }
+        return fraction > 0.5 ? floor + 1 : floor;
+    }
+  }
+
+  /**
+   * Round a number to a fixed count of decimals, returning a number
+   */
+  roundTo(value, decimals, mode = this.roundingMode) {
+    const factor = Math.pow(10, decimals);
+    return this.roundInteger(value * factor, mode) / factor;
+  }
+
+  /**
+   * Convert ALC to integer micro-ALC
+   */
+  toMicro(alc, mode = this.roundingMode) {
+    return this.roundInteger(alc * this.microPerAlc, mode);
+  }
+
+  /**
+   * Convert integer micro-ALC to ALC
+   */
+  fromMicro(micro) {
+    return micro / this.microPerAlc;
+  }
+
+  /**
+   * Multiply micro-ALC by a factor exactly (factor resolved to parts per million)
+   */
+  multiply(micro, factor, mode = this.roundingMode) {
+    const factorPpm = BigInt(this.roundInteger(factor * this.microPerAlc, mode));
+    return this.divideRounded(BigInt(micro) * factorPpm, BigInt(this.microPerAlc), mode);
+  }
+
+  /**
+   * Integer division of BigInts with a rounding mode, returning a number
+   */
+  divideRounded(numerator, denominator, mode = this.roundingMode) {
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const n = numerator < 0n ? -numerator : numerator;
+    const d = denominator < 0n ? -denominator : denominator;
+    let quotient = n / d;
+    const remainder = n % d;
+
+    if (remainder !== 0n) {
+      const twice = remainder * 2n;
+      const roundAway =
+        (mode === 'ceil' && !negative) ||
+        (mode === 'floor' && negative) ||
+        (mode === 'half_up' && twice >= d) ||
+        (mode === 'half_even' && (twice > d || (twice === d && quotient % 2n === 1n)));
+
+      if (roundAway) {
+        quotient += 1n;
+      }
+    }
+
+    return Number(negative ? -quotient : quotient);
+  }
+
+  /**
+   * Value of a micro-ALC amount in USD, rounded to USD minor units
+   */
+  toUSD(micro, usdPerAlc) {
+    return this.roundTo(this.fromMicro(micro) * usdPerAlc, this.usdDecimals);
+  }
+
+  /**
+   * Format a micro-ALC amount for display
+   */
+  formatALC(micro, decimals = this.displayDecimals) {
+    return `${this.fromMicro(micro).toFixed(decimals)} ALC`;
+  }
+
+  /**
+   * Format a USD amount for display
+   */
+  formatUSD(usd) {
+    return `$${usd.toFixed(this.usdDecimals)}`;
+  }
+
+  /**
+   * Format a percentage for display
+   */
+  formatPercent(percent, decimals = 1) {
+    return `${percent.toFixed(decimals)}%`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ALCUnits;
+}
@@ -5,25 +5,59 @@
 
 class CapacitorModel {
   constructor(config) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+
+    this.units = new Units(config);
     this.charge = 0.5;          // Current charge level (0-1)
     this.maxCharge = 1.0;       // Maximum charge capacity
     this.balanceThreshold = config?.pricing_model?.balance_threshold || 0.75;
     this.dischargeRate = 0.1;   // Rate of discharge on purchase
     this.chargeRate = 0.05;     // Rate of charge from activity
+    this.targetCharge = 0.5;    // Resting charge the capacitor balances toward
+
+    // 'step' moves charge per call; 'rc' decays exponentially with real time
+    this.mode = config?.pricing_model?.mode || 'step';
+    this.timeConstantMs = config?.pricing_model?.time_constant_ms || 60 * 60 * 1000;
+    this.lastUpdated = Date.now();
+  }
+
+  /**
+   * Charge at a point in time (RC mode decays toward the target since the last update)
+   */
+  chargeAt(time = Date.now()) {
+    if (this.mode !== 'rc') {
+      return this.charge;
+    }
+
+    const elapsed = Math.max(time - this.lastUpdated, 0);
+    const decay = Math.exp(-elapsed / this.timeConstantMs);
+    return this.targetCharge + (this.charge - this.targetCharge) * decay;
+  }
+
+  /**
+   * Advance the stored charge to a point in time (RC mode only)
+   */
+  settle(time = Date.now()) {
+    if (this.mode === 'rc' && time > this.lastUpdated) {
+      this.charge = this.chargeAt(time);
+      this.lastUpdated = time;
+    }
   }
 
   /**
    * Accumulate charge from activity
    */
-  accumulateCharge(activityLevel) {
+  accumulateCharge(activityLevel, time = Date.now()) {
     // activityLevel: 0-1 representing normalized activity
+    // RC mode decays the charge to the activity's time, then adds it at once
+    this.settle(time);
     const chargeIncrease = activityLevel * this.chargeRate;
     this.charge = Math.min(this.charge + chargeIncrease, this.maxCharge);
 
     return {
-      activity_level: activityLevel.toFixed(2),
-      charge_increase: chargeIncrease.toFixed(3),
-      current_charge: this.charge.toFixed(3),
+      activity_level: this.units.roundTo(activityLevel, 2),
+      charge_increase: this.units.roundTo(chargeIncrease, 3),
+      current_charge: this.units.roundTo(this.charge, 3),
       status: this.getChargeStatus(),
       price_impact: this.getPriceImpact()
     };
@@ -32,15 +66,17 @@ class CapacitorModel {
   /**
    * Discharge on purchase
    */
-  dischargeOnPurchase(purchaseSize) {
+  dischargeOnPurchase(purchaseSize, time = Date.now()) {
     // purchaseSize: normalized value 0-1
+    // RC mode decays the charge to the purchase's time, then drains it at once
+    this.settle(time);
     const dischargeAmount = purchaseSize * this.dischargeRate;
     this.charge = Math.max(this.charge - dischargeAmount, 0);
 
     return {
-      purchase_size: purchaseSize.toFixed(2),
-      discharge_amount: dischargeAmount.toFixed(3),
-      remaining_charge: this.charge.toFixed(3),
+      purchase_size: this.units.roundTo(purchaseSize, 2),
+      discharge_amount: this.units.roundTo(dischargeAmount, 3),
+      remaining_charge: this.units.roundTo(this.charge, 3),
       status: this.getChargeStatus(),
       price_impact: this.getPriceImpact()
     };
@@ -49,10 +85,10 @@ class CapacitorModel {
   /**
    * Get current charge status
    */
-  getChargeStatus() {
-    if (this.charge > this.balanceThreshold) {
+  getChargeStatus(charge = this.charge) {
+    if (charge > this.balanceThreshold) {
       return 'high_charge';
-    } else if (this.charge < (1 - this.balanceThreshold)) {
+    } else if (charge < (1 - this.balanceThreshold)) {
       return 'low_charge';
     } else {
       return 'balanced';
@@ -62,24 +98,24 @@ class CapacitorModel {
   /**
    * Calculate price impact based on charge level
    */
-  getPriceImpact() {
-    const status = this.getChargeStatus();
+  getPriceImpact(charge = this.charge) {
+    const status = this.getChargeStatus(charge);
     
     if (status === 'high_charge') {
       // High charge = prices increase slightly
-      const increase = (this.charge - this.balanceThreshold) * 0.2;
+      const increase = (charge - this.balanceThreshold) * 0.2;
       return {
         type: 'increase',
-        multiplier: (1 + increase).toFixed(3),
+        multiplier: this.units.roundTo(1 + increase, 3),
         reason: 'high_activity_detected',
         description: 'prices_increase_slightly'
       };
     } else if (status === 'low_charge') {
       // Low charge = prices decrease slightly
-      const decrease = ((1 - this.balanceThreshold) - this.charge) * 0.2;
+      const decrease = ((1 - this.balanceThreshold) - charge) * 0.2;
       return {
         type: 'decrease',
-        multiplier: (1 - decrease).toFixed(3),
+        multiplier: this.units.roundTo(1 - decrease, 3),
         reason: 'low_activity_detected',
         description: 'prices_decrease_slightly'
       };
@@ -87,7 +123,7 @@ class CapacitorModel {
       // Balanced = fair stable pricing
       return {
         type: 'stable',
-        multiplier: '1.000',
+        multiplier: 1,
         reason: 'balanced_activity',
         description: 'fair_stable_pricing'
       };
@@ -97,33 +133,45 @@ class CapacitorModel {
   /**
    * Apply capacitor pricing model to a base price
    */
-  applyCapacitorPricing(basePrice) {
+  applyCapacitorPricing(basePrice, time = Date.now()) {
+    this.settle(time);
     const impact = this.getPriceImpact();
-    const multiplier = parseFloat(impact.multiplier);
-    const adjustedPrice = basePrice * multiplier;
+    const multiplier = impact.multiplier;
+    const basePriceMicro = this.units.toMicro(basePrice);
+    const adjustedPriceMicro = this.units.multiply(basePriceMicro, multiplier);
 
     return {
       base_price: basePrice,
-      capacitor_charge: this.charge.toFixed(3),
+      capacitor_charge: this.units.roundTo(this.charge, 3),
       charge_status: this.getChargeStatus(),
-      price_multiplier: multiplier.toFixed(3),
-      adjusted_price: adjustedPrice.toFixed(2),
+      price_multiplier: multiplier,
+      adjusted_price: this.units.fromMicro(adjustedPriceMicro),
+      adjusted_price_micro: adjustedPriceMicro,
       pricing_model: 'capacitor_discharge',
-      fair_pricing: impact.type === 'stable' ? 'guaranteed' : 'dynamic'
+      fair_pricing: impact.type === 'stable' ? 'guaranteed' : 'dynamic',
+      display: {
+        base_price: this.units.formatALC(basePriceMicro),
+        adjusted_price: this.units.formatALC(adjustedPriceMicro)
+      }
     };
   }
 
   /**
-   * Get capacitor state for monitoring
+   * Get capacitor state for monitoring (at any query time in RC mode)
    */
-  getCapacitorState() {
+  getCapacitorState(time = Date.now()) {
+    const charge = this.chargeAt(time);
+
     return {
-      charge_level: this.charge.toFixed(3),
-      charge_percent: (this.charge * 100).toFixed(1) + '%',
+      charge_level: this.units.roundTo(charge, 3),
+      charge_percent: this.units.roundTo(charge * 100, 1),
       max_capacity: this.maxCharge,
       balance_threshold: this.balanceThreshold,
-      status: this.getChargeStatus(),
-      price_impact: this.getPriceImpact(),
+      status: this.getChargeStatus(charge),
+      price_impact: this.getPriceImpact(charge),
+      mode: this.mode,
+      time_constant_ms: this.mode === 'rc' ? this.timeConstantMs : null,
+      queried_at: time,
       model: {
         high_charge: 'prices_increase_slightly',
         low_charge: 'prices_decrease_slightly',
@@ -135,9 +183,21 @@ class CapacitorModel {
   /**
    * Auto-balance capacitor over time
    */
-  autoBalance() {
-    const targetCharge = 0.5;
+  autoBalance(time = Date.now()) {
+    const targetCharge = this.targetCharge;
     const balanceRate = 0.02;
+
+    if (this.mode === 'rc') {
+      this.settle(time);
+
+      return {
+        target_charge: targetCharge,
+        current_charge: this.units.roundTo(this.charge, 3),
+        time_constant_ms: this.timeConstantMs,
+        auto_balancing: true,
+        status: 'rc_discharging_toward_target'
+      };
+    }
     
     if (this.charge > targetCharge) {
       this.charge -= Math.min(this.charge - targetCharge, balanceRate);
@@ -147,11 +207,29 @@ class CapacitorModel {
 
     return {
       target_charge: targetCharge,
-      current_charge: this.charge.toFixed(3),
+      current_charge: this.units.roundTo(this.charge, 3),
       auto_balancing: true,
       status: 'maintaining_fair_pricing'
     };
   }
+
+  /**
+   * Export capacitor state for snapshots
+   */
+  exportState() {
+    return {
+      charge: this.charge,
+      last_updated: this.lastUpdated
+    };
+  }
+
+  /**
+   * Restore capacitor state from a snapshot
+   */
+  importState(state) {
+    this.charge = state.charge;
+    this.lastUpdated = state.last_updated ?? Date.now();
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,213 @@
+/**
+ * Currency Converter Module
+ * Converts ALC to and from fiat currencies with currency-correct minor units
+ */
+
+class CurrencyConverter {
+  constructor(alcMarket, rateTable = null) {
+    this.market = alcMarket;
+    this.units = alcMarket.units;
+    this.rates = new Map([['USD', { per_usd: 1, minor_units: 2 }]]);
+    this.displayCurrencies = ['USD'];
+    this.ratesUpdated = null;
+    this.ratesSource = 'default';
+
+    if (rateTable) {
+      this.loadRates(rateTable);
+    }
+  }
+
+  /**
+   * Load a rate table ({ rates: { EUR: { per_usd, minor_units } }, display, updated });
+   * a table without `updated` is stamped with the load time
+   */
+  loadRates(rateTable, source = 'rate_table', time = Date.now()) {
+    const errors = [];
+    const rates = new Map([['USD', { per_usd: 1, minor_units: 2 }]]);
+
+    Object.entries(rateTable.rates || {}).forEach(([code, rate]) => {
+      const currency = code.toUpperCase();
+
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        errors.push(`${code}: not an ISO 4217 currency code`);
+      } else if (!rate || typeof rate !== 'object') {
+        errors.push(`${code}: rate must be an object with per_usd and minor_units`);
+      } else if (!Number.isFinite(rate.per_usd) || rate.per_usd <= 0) {
+        errors.push(`${code}: per_usd must be a positive number`);
+      } else if (!Number.isInteger(rate.minor_units) || rate.minor_units < 0) {
+        errors.push(`${code}: minor_units must be a non-negative integer`);
+      } else {
+        rates.set(currency, { per_usd: rate.per_usd, minor_units: rate.minor_units });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { loaded: false, error: 'Invalid rate table', errors };
+    }
+
+    this.rates = rates;
+    this.displayCurrencies = (rateTable.display || Array.from(rates.keys()))
+      .map(c => c.toUpperCase())
+      .filter(c => rates.has(c));
+    this.ratesUpdated = rateTable.updated || new Date(time).toISOString();
+    this.ratesSource = source;
+
+    return {
+      loaded: true,
+      currencies: Array.from(rates.keys()),
+      display_currencies: this.displayCurrencies,
+      updated: this.ratesUpdated,
+      source
+    };
+  }
+
+  /**
+   * Load a rate table from a local JSON file (Node only)
+   */
+  loadRatesFromFile(filePath, time = Date.now()) {
+    const fs = require('fs');
+
+    try {
+      return this.loadRates(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath, time);
+    } catch (error) {
+      return { loaded: false, error: `Could not read rate table: ${error.message}` };
+    }
+  }
+
+  /**
+   * Merge rates pushed in through a signal
+   */
+  updateRates(rates, source = 'signal', updated = null, time = Date.now()) {
+    const merged = {};
+
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+      return { loaded: false, error: 'Invalid rate table', errors: ['rates: expected an object of currency rates'] };
+    }
+
+    this.rates.forEach((rate, currency) => {
+      merged[currency] = rate;
+    });
+    Object.entries(rates).forEach(([currency, rate]) => {
+      const existing = this.rates.get(currency.toUpperCase());
+      merged[currency.toUpperCase()] = typeof rate === 'number'
+        ? { per_usd: rate, minor_units: existing ? existing.minor_units : 2 }
+        : rate;
+    });
+
+    return this.loadRates({ rates: merged, display: this.displayCurrencies, updated }, source, time);
+  }
+
+  /**
+   * Convert a micro-ALC amount to a fiat currency
+   */
+  alcToFiat(alcMicro, currency) {
+    const code = currency.toUpperCase();
+    const rate = this.rates.get(code);
+
+    if (!rate) {
+      return { error: `Unknown currency: ${currency}`, available_currencies: Array.from(this.rates.keys()) };
+    }
+
+    const fiat = this.units.fromMicro(alcMicro) * this.market.currentValue * rate.per_usd;
+    const minorAmount = this.units.roundInteger(fiat * Math.pow(10, rate.minor_units));
+    const amount = minorAmount / Math.pow(10, rate.minor_units);
+
+    return {
+      currency: code,
+      amount,
+      amount_minor: minorAmount,
+      minor_units: rate.minor_units,
+      formatted: this.format(amount, code)
+    };
+  }
+
+  /**
+   * Convert a fiat amount to micro-ALC
+   */
+  fiatToAlc(amount, currency) {
+    const code = currency.toUpperCase();
+    const rate = this.rates.get(code);
+
+    if (!rate) {
+      return { error: `Unknown currency: ${currency}`, available_currencies: Array.from(this.rates.keys()) };
+    }
+
+    const alcMicro = this.units.toMicro(amount / rate.per_usd / this.market.currentValue);
+
+    return {
+      currency: code,
+      fiat_amount: amount,
+      alc: this.units.fromMicro(alcMicro),
+      alc_micro: alcMicro,
+      formatted: this.units.formatALC(alcMicro)
+    };
+  }
+
+  /**
+   * Price a micro-ALC amount in several currencies at once
+   */
+  convertToMany(alcMicro, currencies = this.displayCurrencies) {
+    const prices = {};
+
+    currencies.forEach(currency => {
+      const converted = this.alcToFiat(alcMicro, currency);
+      if (!converted.error) {
+        prices[converted.currency] = converted.amount;
+      }
+    });
+
+    return prices;
+  }
+
+  /**
+   * Format a fiat amount with the currency's symbol and minor units
+   */
+  format(amount, currency) {
+    const rate = this.rates.get(currency);
+
+    return new Intl.NumberFormat('en', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: rate.minor_units,
+      maximumFractionDigits: rate.minor_units
+    }).format(amount);
+  }
+
+  /**
+   * Get the loaded rate table
+   */
+  getRates() {
+    return {
+      base: 'USD',
+      rates: Object.fromEntries(this.rates),
+      display_currencies: this.displayCurrencies,
+      updated: this.ratesUpdated,
+      source: this.ratesSource
+    };
+  }
+
+  /**
+   * Export rates for snapshots
+   */
+  exportState() {
+    return {
+      rates: Object.fromEntries(this.rates),
+      display: this.displayCurrencies.slice(),
+      updated: this.ratesUpdated,
+      source: this.ratesSource
+    };
+  }
+
+  /**
+   * Restore rates from a snapshot (a table that was never stamped stays unstamped)
+   */
+  importState(state) {
+    this.loadRates({ rates: state.rates, display: state.display, updated: state.updated }, state.source);
+    this.ratesUpdated = state.updated;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CurrencyConverter;
+}
@@ -0,0 +1,171 @@
+/**
+ * Discount Engine Module
+ * Tiered quantity discounts and bundle pricing (the MRW mushroom)
+ */
+
+class DiscountEngine {
+  constructor(pricingConfig, fairPricing = null) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+    const discounts = pricingConfig.discounts || {};
+
+    this.units = new Units(pricingConfig);
+    this.spendCosts = pricingConfig.andy_lian_coin.spend_costs;
+    this.fairPricing = fairPricing;
+    this.quantityTiers = (discounts.quantity_tiers || [])
+      .slice()
+      .sort((a, b) => b.min_quantity - a.min_quantity);
+    this.bundles = discounts.bundles || [];
+  }
+
+  /**
+   * Lowest allowed unit price in micro-ALC (FairPricing floor)
+   */
+  getFloorMicro() {
+    const floor = this.fairPricing ? this.fairPricing.priceFloor : 0.01;
+    return this.units.toMicro(floor);
+  }
+
+  /**
+   * Find the best quantity tier for a quantity
+   */
+  getQuantityTier(quantity) {
+    return this.quantityTiers.find(tier => quantity >= tier.min_quantity) || null;
+  }
+
+  /**
+   * Apply the quantity tier discount to a unit price
+   */
+  applyQuantityDiscount(unitPriceMicro, quantity) {
+    const tier = this.getQuantityTier(quantity);
+    const subtotalMicro = unitPriceMicro * quantity;
+    const floorTotalMicro = this.getFloorMicro() * quantity;
+
+    let totalMicro = tier
+      ? this.units.multiply(subtotalMicro, 1 - tier.percent_off / 100)
+      : subtotalMicro;
+    const floored = totalMicro < floorTotalMicro;
+    totalMicro = Math.max(totalMicro, floorTotalMicro);
+
+    return {
+      quantity,
+      unit_price_micro: unitPriceMicro,
+      subtotal_micro: subtotalMicro,
+      discount_micro: subtotalMicro - totalMicro,
+      total_micro: totalMicro,
+      tier: tier ? { min_quantity: tier.min_quantity, percent_off: tier.percent_off } : null,
+      bounded_by_price_floor: floored
+    };
+  }
+
+  /**
+   * Price a cart: bundles first, then tiered quantities for what is left
+   */
+  priceCart(cart) {
+    const remaining = {};
+    const unknown = [];
+
+    Object.entries(cart).forEach(([item, quantity]) => {
+      if (!this.spendCosts[item]) {
+        unknown.push(item);
+      } else if (quantity > 0) {
+        remaining[item] = quantity;
+      }
+    });
+
+    if (unknown.length > 0) {
+      return { error: `Unknown item type: ${unknown.join(', ')}` };
+    }
+
+    // Apply the bundle that saves the most, as many times as it fits
+    const bundleLines = [];
+    let bundle = this.bestBundle(remaining);
+    while (bundle) {
+      bundle.items.forEach(item => { remaining[item]--; });
+      bundleLines.push(this.priceBundle(bundle));
+      bundle = this.bestBundle(remaining);
+    }
+
+    const itemLines = Object.entries(remaining)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([item, quantity]) => ({
+        item,
+        ...this.applyQuantityDiscount(this.units.toMicro(this.spendCosts[item]), quantity)
+      }));
+
+    const lines = bundleLines.concat(itemLines);
+    const subtotalMicro = lines.reduce((sum, l) => sum + l.subtotal_micro, 0);
+    const totalMicro = lines.reduce((sum, l) => sum + l.total_micro, 0);
+
+    return {
+      lines,
+      bundles_applied: bundleLines.map(l => l.bundle),
+      subtotal_micro: subtotalMicro,
+      discount_micro: subtotalMicro - totalMicro,
+      total_micro: totalMicro,
+      discount_applied: totalMicro < subtotalMicro
+    };
+  }
+
+  /**
+   * Bundle with the largest saving that the remaining items can fill
+   */
+  bestBundle(remaining) {
+    let best = null;
+    let bestSaving = 0;
+
+    this.bundles.forEach(bundle => {
+      const fits = bundle.items.every(item => (remaining[item] || 0) > 0);
+      if (!fits) {
+        return;
+      }
+
+      const line = this.priceBundle(bundle);
+      if (line.discount_micro > bestSaving) {
+        best = bundle;
+        bestSaving = line.discount_micro;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Price one bundle against its items bought separately
+   */
+  priceBundle(bundle) {
+    const subtotalMicro = bundle.items
+      .reduce((sum, item) => sum + this.units.toMicro(this.spendCosts[item]), 0);
+    const floorMicro = this.getFloorMicro() * bundle.items.length;
+    const bundleMicro = this.units.toMicro(bundle.price_alc);
+    const totalMicro = Math.max(bundleMicro, floorMicro);
+
+    return {
+      bundle: bundle.id,
+      items: bundle.items.slice(),
+      quantity: 1,
+      subtotal_micro: subtotalMicro,
+      discount_micro: subtotalMicro - totalMicro,
+      total_micro: totalMicro,
+      bounded_by_price_floor: bundleMicro < floorMicro
+    };
+  }
+
+  /**
+   * Configured discounts for display
+   */
+  getDiscountSummary() {
+    return {
+      quantity_tiers: this.quantityTiers.slice().reverse(),
+      bundles: this.bundles.map(b => ({
+        ...b,
+        saving_alc: this.units.fromMicro(this.priceBundle(b).discount_micro)
+      })),
+      mrw_mushroom: 'bulk_discount_applied'
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiscountEngine;
+}
@@ -4,7 +4,10 @@
  */
 
 class DynamicPricing {
-  constructor() {
+  constructor(config) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+
+    this.units = new Units(config);
     this.priceHistory = [];
     this.demandMultiplier = 1.0;
   }
@@ -42,6 +45,7 @@ class DynamicPricing {
       complexity_level: complexity,
       demand_level: demand,
       final_price_alc: Math.round(price),
+      final_price_micro: this.units.toMicro(Math.round(price)),
       usd_estimate: '(multiply by current ALC rate)'
     };
   }
@@ -80,6 +84,7 @@ class DynamicPricing {
       total_supply: scarcity,
       scarcity_bonus: scarcityBonus,
       base_value_alc: Math.round(tokenValue),
+      base_value_micro: this.units.toMicro(Math.round(tokenValue)),
       market_condition: 'fair_pricing_applied'
     };
   }
@@ -132,15 +137,21 @@ class DynamicPricing {
     const feePercent = 0.01;
     const minimumFee = 0.1;
     
-    const calculatedFee = transactionAmount * feePercent;
-    const actualFee = Math.max(calculatedFee, minimumFee);
+    const amountMicro = this.units.toMicro(transactionAmount);
+    const calculatedFeeMicro = this.units.multiply(amountMicro, feePercent);
+    const actualFeeMicro = Math.max(calculatedFeeMicro, this.units.toMicro(minimumFee));
 
     return {
-      transaction_amount_alc: transactionAmount,
-      fee_percent: (feePercent * 100).toFixed(1),
-      calculated_fee_alc: calculatedFee.toFixed(2),
-      actual_fee_alc: actualFee.toFixed(2),
-      fee_model: 'minimal_hydrogen_bond_cost'
+      transaction_amount_alc: this.units.fromMicro(amountMicro),
+      fee_percent: this.units.roundTo(feePercent * 100, 1),
+      calculated_fee_alc: this.units.fromMicro(calculatedFeeMicro),
+      actual_fee_alc: this.units.fromMicro(actualFeeMicro),
+      actual_fee_micro: actualFeeMicro,
+      fee_model: 'minimal_hydrogen_bond_cost',
+      display: {
+        calculated_fee: this.units.formatALC(calculatedFeeMicro),
+        actual_fee: this.units.formatALC(actualFeeMicro)
+      }
     };
   }
 
@@ -163,7 +174,7 @@ class DynamicPricing {
       supply_level: supply,
       demand_level: demand,
       recent_activity: recentActivity,
-      demand_multiplier: this.demandMultiplier.toFixed(2),
+      demand_multiplier: this.units.roundTo(this.demandMultiplier, 2),
       market_state: supplyDemandRatio > 1.2 ? 'high_demand' : supplyDemandRatio < 0.8 ? 'low_demand' : 'balanced',
       mongoose_learning_active: true
     };
@@ -180,7 +191,9 @@ class DynamicPricing {
       return {
         original_price: price,
         market_average: marketAverage,
-        adjusted_price: marketAverage * (1 + deviationThreshold * (price > marketAverage ? 1 : -1)),
+        adjusted_price: this.units.fromMicro(
+          this.units.toMicro(marketAverage * (1 + deviationThreshold * (price > marketAverage ? 1 : -1)))
+        ),
         fair_pricing_enforced: true,
         reason: 'prevented_unfair_pricing'
       };
@@ -189,10 +202,28 @@ class DynamicPricing {
     return {
       price: price,
       market_average: marketAverage,
-      deviation_percent: (deviation * 100).toFixed(1),
+      deviation_percent: this.units.roundTo(deviation * 100, 1),
       fair_pricing_verified: true
     };
   }
+
+  /**
+   * Export pricing state for snapshots
+   */
+  exportState() {
+    return {
+      price_history: this.priceHistory.slice(),
+      demand_multiplier: this.demandMultiplier
+    };
+  }
+
+  /**
+   * Restore pricing state from a snapshot
+   */
+  importState(state) {
+    this.priceHistory = state.price_history.slice();
+    this.demandMultiplier = state.demand_multiplier;
+  }
 }
 
 // Export for use in other modules
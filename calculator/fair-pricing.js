@@ -4,7 +4,10 @@
  */
 
 class FairPricing {
-  constructor() {
+  constructor(config) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+
+    this.units = new Units(config);
     this.priceFloor = 0.01;     // Minimum price (in ALC)
     this.priceCeiling = 10000;  // Maximum price (in ALC)
     this.maxChangeRate = 0.25;  // Max 25% change per update
@@ -50,6 +53,9 @@ class FairPricing {
       }
     }
 
+    // Prices are kept at exact micro-ALC precision
+    price = this.units.fromMicro(this.units.toMicro(price));
+
     // Record this price
     this.priceHistory.push(price);
     if (this.priceHistory.length > this.maxPriceHistory) {
@@ -57,7 +63,7 @@ class FairPricing {
     }
 
     return {
-      validated_price: parseFloat(price.toFixed(2)),
+      validated_price: price,
       original_price: context.original_price || price,
       is_fair: issues.length === 0,
       issues: issues,
@@ -66,13 +72,38 @@ class FairPricing {
     };
   }
 
+  /**
+   * Check a price move against the bounds without recording it (used for AMM swaps)
+   */
+  checkPriceMove(fromPrice, toPrice) {
+    const issues = [];
+
+    if (toPrice < this.priceFloor) {
+      issues.push('price_too_low');
+    }
+    if (toPrice > this.priceCeiling) {
+      issues.push('price_too_high');
+    }
+    if (fromPrice > 0 && Math.abs(toPrice - fromPrice) / fromPrice > this.maxChangeRate) {
+      issues.push('price_change_too_rapid');
+    }
+
+    return {
+      allowed: issues.length === 0,
+      issues,
+      price_floor: this.priceFloor,
+      price_ceiling: this.priceCeiling,
+      max_change_rate: this.maxChangeRate
+    };
+  }
+
   /**
    * Calculate fairness score based on issues
    */
   calculateFairnessScore(issues) {
     const penaltyPerIssue = 0.2;
     this.fairnessScore = Math.max(1.0 - (issues.length * penaltyPerIssue), 0);
-    return this.fairnessScore.toFixed(2);
+    return this.units.roundTo(this.fairnessScore, 2);
   }
 
   /**
@@ -93,12 +124,14 @@ class FairPricing {
     const deviation = Math.abs(proposedPrice - marketAverage) / marketAverage;
 
     // If deviation is too high, adjust
+    const marketAverageRounded = this.units.fromMicro(this.units.toMicro(marketAverage));
+
     if (deviation > 0.3) {
       return {
         original_price: proposedPrice,
-        market_average: marketAverage.toFixed(2),
-        adjusted_price: marketAverage.toFixed(2),
-        deviation_percent: (deviation * 100).toFixed(1),
+        market_average: marketAverageRounded,
+        adjusted_price: marketAverageRounded,
+        deviation_percent: this.units.roundTo(deviation * 100, 1),
         adjusted: true,
         reason: 'aligned_with_market_consensus'
       };
@@ -106,8 +139,8 @@ class FairPricing {
 
     return {
       price: proposedPrice,
-      market_average: marketAverage.toFixed(2),
-      deviation_percent: (deviation * 100).toFixed(1),
+      market_average: marketAverageRounded,
+      deviation_percent: this.units.roundTo(deviation * 100, 1),
       fair_market_confirmed: true,
       reason: 'within_acceptable_market_range'
     };
@@ -193,15 +226,33 @@ class FairPricing {
       : 0;
 
     return {
-      fairness_score: this.fairnessScore.toFixed(2),
+      fairness_score: this.units.roundTo(this.fairnessScore, 2),
       price_floor: this.priceFloor,
       price_ceiling: this.priceCeiling,
       max_change_rate: `${this.maxChangeRate * 100}%`,
-      recent_average_price: avgPrice.toFixed(2),
+      recent_average_price: this.units.fromMicro(this.units.toMicro(avgPrice)),
       prices_tracked: this.priceHistory.length,
       status: this.fairnessScore > 0.8 ? 'excellent' : this.fairnessScore > 0.6 ? 'good' : 'needs_improvement'
     };
   }
+
+  /**
+   * Export fairness state for snapshots
+   */
+  exportState() {
+    return {
+      price_history: this.priceHistory.slice(),
+      fairness_score: this.fairnessScore
+    };
+  }
+
+  /**
+   * Restore fairness state from a snapshot
+   */
+  importState(state) {
+    this.priceHistory = state.price_history.slice();
+    this.fairnessScore = state.fairness_score;
+  }
 }
 
 // Export for use in other modules
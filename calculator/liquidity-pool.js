@@ -0,0 +1,289 @@
+/**
+ * Liquidity Pool Module
+ * Constant-product (x * y = k) ALC/USD market maker for price discovery
+ */
+
+class LiquidityPool {
+  constructor(pricingConfig, fairPricing = null) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+    const maker = pricingConfig.market_maker || {};
+    const startValue = pricingConfig.andy_lian_coin.current_usd_value;
+
+    this.units = new Units(pricingConfig);
+    this.fairPricing = fairPricing;
+    this.feePercent = maker.fee_percent ?? 0.3;
+    this.defaultSlippagePercent = maker.default_slippage_percent ?? 1;
+
+    // Reserves are integer micro-units (micro-ALC and micro-USD); seeded at the configured value
+    const alcReserve = maker.alc_reserve ?? 100000;
+    this.alcReserveMicro = this.units.toMicro(alcReserve);
+    this.usdReserveMicro = this.units.toMicro(alcReserve * startValue);
+    this.totalShares = this.alcReserveMicro;
+    this.shares = new Map([['system:treasury', this.totalShares]]);
+    this.swaps = [];
+    this.maxSwapHistory = 100;
+  }
+
+  /**
+   * Spot price in USD per ALC derived from the reserves
+   */
+  getPrice() {
+    if (this.alcReserveMicro === 0) {
+      return 0;
+    }
+    return this.units.roundTo(this.usdReserveMicro / this.alcReserveMicro, 6);
+  }
+
+  /**
+   * Amount out for an amount in, after the pool fee (exact integer math)
+   */
+  getAmountOut(amountInMicro, reserveInMicro, reserveOutMicro) {
+    const feePpm = BigInt(this.units.roundInteger(this.feePercent * 10000));
+    const amountIn = BigInt(amountInMicro) * (1000000n - feePpm);
+    const out = (amountIn * BigInt(reserveOutMicro)) / (BigInt(reserveInMicro) * 1000000n + amountIn);
+    return Number(out);
+  }
+
+  /**
+   * Quote a swap without executing it
+   * side: 'buy_alc' spends USD for ALC, 'sell_alc' spends ALC for USD
+   */
+  quoteSwap(side, amountIn, options = {}) {
+    const { slippagePercent = this.defaultSlippagePercent } = options;
+
+    if (!['buy_alc', 'sell_alc'].includes(side)) {
+      return { error: `Unknown swap side: ${side}`, sides: ['buy_alc', 'sell_alc'] };
+    }
+
+    const amountInMicro = this.units.toMicro(amountIn);
+    if (!(amountInMicro > 0)) {
+      return { error: 'Swap amount must be positive' };
+    }
+
+    const buying = side === 'buy_alc';
+    const reserveIn = buying ? this.usdReserveMicro : this.alcReserveMicro;
+    const reserveOut = buying ? this.alcReserveMicro : this.usdReserveMicro;
+    const amountOutMicro = this.getAmountOut(amountInMicro, reserveIn, reserveOut);
+
+    const priceBefore = this.getPrice();
+    const alcAfter = buying ? this.alcReserveMicro - amountOutMicro : this.alcReserveMicro + amountInMicro;
+    const usdAfter = buying ? this.usdReserveMicro + amountInMicro : this.usdReserveMicro - amountOutMicro;
+    const priceAfter = alcAfter > 0 ? this.units.roundTo(usdAfter / alcAfter, 6) : Infinity;
+
+    // USD per ALC actually paid or received
+    const alcMicro = buying ? amountOutMicro : amountInMicro;
+    const usdMicro = buying ? amountInMicro : amountOutMicro;
+    const executionPrice = alcMicro > 0 ? this.units.roundTo(usdMicro / alcMicro, 6) : Infinity;
+    const slippage = Math.abs(executionPrice - priceBefore) / priceBefore * 100;
+
+    // Least acceptable output: the spot-price amount less the slippage tolerance
+    const spotAmountOut = buying ? amountInMicro / priceBefore : amountInMicro * priceBefore;
+    const minAmountOutMicro = this.units.roundInteger(spotAmountOut * (1 - slippagePercent / 100), 'floor');
+
+    return {
+      side,
+      amount_in: this.units.fromMicro(amountInMicro),
+      amount_in_micro: amountInMicro,
+      amount_out: this.units.fromMicro(amountOutMicro),
+      amount_out_micro: amountOutMicro,
+      min_amount_out: this.units.fromMicro(minAmountOutMicro),
+      min_amount_out_micro: minAmountOutMicro,
+      fee_percent: this.feePercent,
+      spot_price_before: priceBefore,
+      spot_price_after: priceAfter,
+      execution_price: executionPrice,
+      price_impact_percent: this.units.roundTo((priceAfter - priceBefore) / priceBefore * 100, 4),
+      slippage_percent: this.units.roundTo(slippage, 4),
+      slippage_tolerance_percent: slippagePercent,
+      fair_check: this.checkFairBounds(priceBefore, priceAfter)
+    };
+  }
+
+  /**
+   * FairPricing floor, ceiling and max change rate applied to a swap's price move
+   */
+  checkFairBounds(priceBefore, priceAfter) {
+    if (!this.fairPricing) {
+      return { allowed: true, issues: [] };
+    }
+    return this.fairPricing.checkPriceMove(priceBefore, priceAfter);
+  }
+
+  /**
+   * Execute a swap, refusing it past the slippage limit or outside fair pricing bounds
+   */
+  swap(side, amountIn, options = {}) {
+    const { minAmountOut = null, user = null, time = Date.now() } = options;
+    const quote = this.quoteSwap(side, amountIn, options);
+
+    if (quote.error) {
+      return { swapped: false, ...quote };
+    }
+
+    if (!quote.fair_check.allowed) {
+      return {
+        swapped: false,
+        error: 'Swap would move the price outside fair pricing bounds',
+        issues: quote.fair_check.issues,
+        quote
+      };
+    }
+
+    const minOutMicro = minAmountOut === null ? quote.min_amount_out_micro : this.units.toMicro(minAmountOut);
+    if (quote.amount_out_micro < minOutMicro || quote.amount_out_micro === 0) {
+      return {
+        swapped: false,
+        error: 'Slippage limit exceeded',
+        min_amount_out_micro: minOutMicro,
+        quote
+      };
+    }
+
+    if (side === 'buy_alc') {
+      this.usdReserveMicro += quote.amount_in_micro;
+      this.alcReserveMicro -= quote.amount_out_micro;
+    } else {
+      this.alcReserveMicro += quote.amount_in_micro;
+      this.usdReserveMicro -= quote.amount_out_micro;
+    }
+
+    const swap = {
+      id: `swap-${time}-${this.swaps.length + 1}`,
+      side,
+      user,
+      amount_in_micro: quote.amount_in_micro,
+      amount_out_micro: quote.amount_out_micro,
+      alc_volume_micro: side === 'buy_alc' ? quote.amount_out_micro : quote.amount_in_micro,
+      execution_price: quote.execution_price,
+      price_after: this.getPrice(),
+      timestamp: time
+    };
+    this.swaps.push(swap);
+    if (this.swaps.length > this.maxSwapHistory) {
+      this.swaps.shift();
+    }
+
+    return { swapped: true, swap, quote };
+  }
+
+  /**
+   * Deposit ALC and USD at the pool ratio; the unmatched remainder is returned
+   */
+  addLiquidity(provider, alcAmount, usdAmount) {
+    const alcMicro = this.units.toMicro(alcAmount);
+    const usdMicro = this.units.toMicro(usdAmount);
+
+    if (!(alcMicro > 0) || !(usdMicro > 0)) {
+      return { added: false, error: 'Liquidity amounts must be positive' };
+    }
+
+    // Shares minted for the smaller side; the other side is taken at the same ratio
+    const sharesFromAlc = Number(BigInt(alcMicro) * BigInt(this.totalShares) / BigInt(this.alcReserveMicro));
+    const sharesFromUsd = Number(BigInt(usdMicro) * BigInt(this.totalShares) / BigInt(this.usdReserveMicro));
+    const shares = Math.min(sharesFromAlc, sharesFromUsd);
+    const alcUsed = Number(BigInt(shares) * BigInt(this.alcReserveMicro) / BigInt(this.totalShares));
+    const usdUsed = Number(BigInt(shares) * BigInt(this.usdReserveMicro) / BigInt(this.totalShares));
+
+    if (shares === 0) {
+      return { added: false, error: 'Deposit too small for one pool share' };
+    }
+
+    this.alcReserveMicro += alcUsed;
+    this.usdReserveMicro += usdUsed;
+    this.totalShares += shares;
+    this.shares.set(provider, (this.shares.get(provider) || 0) + shares);
+
+    return {
+      added: true,
+      provider,
+      shares,
+      alc_deposited_micro: alcUsed,
+      usd_deposited_micro: usdUsed,
+      alc_returned_micro: alcMicro - alcUsed,
+      usd_returned_micro: usdMicro - usdUsed,
+      price: this.getPrice()
+    };
+  }
+
+  /**
+   * Burn pool shares and withdraw the matching ALC and USD
+   */
+  removeLiquidity(provider, shares) {
+    const held = this.shares.get(provider) || 0;
+
+    if (!Number.isInteger(shares) || shares <= 0 || shares > held) {
+      return { removed: false, error: 'Not enough pool shares', provider, shares_held: held };
+    }
+
+    if (shares === this.totalShares) {
+      return { removed: false, error: 'Cannot withdraw all liquidity from the pool' };
+    }
+
+    const alcOut = Number(BigInt(shares) * BigInt(this.alcReserveMicro) / BigInt(this.totalShares));
+    const usdOut = Number(BigInt(shares) * BigInt(this.usdReserveMicro) / BigInt(this.totalShares));
+
+    this.alcReserveMicro -= alcOut;
+    this.usdReserveMicro -= usdOut;
+    this.totalShares -= shares;
+    if (held === shares) {
+      this.shares.delete(provider);
+    } else {
+      this.shares.set(provider, held - shares);
+    }
+
+    return {
+      removed: true,
+      provider,
+      shares,
+      alc_withdrawn_micro: alcOut,
+      usd_withdrawn_micro: usdOut,
+      price: this.getPrice()
+    };
+  }
+
+  /**
+   * Reserves, price and providers
+   */
+  getPoolState() {
+    return {
+      price: this.getPrice(),
+      alc_reserve: this.units.fromMicro(this.alcReserveMicro),
+      alc_reserve_micro: this.alcReserveMicro,
+      usd_reserve: this.units.fromMicro(this.usdReserveMicro),
+      usd_reserve_micro: this.usdReserveMicro,
+      fee_percent: this.feePercent,
+      total_shares: this.totalShares,
+      providers: this.shares.size,
+      recent_swaps: this.swaps.slice(-10)
+    };
+  }
+
+  /**
+   * Export reserves, shares and swaps for snapshots
+   */
+  exportState() {
+    return {
+      alc_reserve_micro: this.alcReserveMicro,
+      usd_reserve_micro: this.usdReserveMicro,
+      total_shares: this.totalShares,
+      shares: Object.fromEntries(this.shares),
+      swaps: this.swaps.slice()
+    };
+  }
+
+  /**
+   * Restore reserves, shares and swaps from a snapshot
+   */
+  importState(state) {
+    this.alcReserveMicro = state.alc_reserve_micro;
+    this.usdReserveMicro = state.usd_reserve_micro;
+    this.totalShares = state.total_shares;
+    this.shares = new Map(Object.entries(state.shares));
+    this.swaps = state.swaps.slice();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LiquidityPool;
+}
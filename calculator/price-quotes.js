@@ -0,0 +1,226 @@
+/**
+ * Price Quotes Module
+ * Locks a fully computed price behind a quote ID until checkout or expiry
+ */
+
+class PriceQuotes {
+  constructor(calculators, config) {
+    this.market = calculators.market;
+    this.dynamicPricing = calculators.dynamicPricing;
+    this.capacitor = calculators.capacitor;
+    this.units = this.market.units;
+    this.ttlMs = config?.quotes?.ttl_ms || 15 * 60 * 1000;
+    this.quotes = new Map();
+  }
+
+  /**
+   * Compute the base ALC price for a quote request
+   */
+  computeBasePrice(kind, params, quantity) {
+    switch (kind) {
+      case 'item': {
+        // Item costs already include the bulk quantity discount
+        const cost = this.market.calculateCost(params.item, { quantity });
+        return cost.error
+          ? cost
+          : { base_price: cost.alc_cost, subject: params.item, detail: cost, includes_quantity: true };
+      }
+      case 'cart': {
+        const cart = this.market.calculateCartCost(params.cart || {});
+        return cart.error ? cart : { base_price: cart.alc_cost, subject: 'cart', detail: cart };
+      }
+      case 'art': {
+        const art = this.dynamicPricing.calculateArtPrice(params);
+        return { base_price: art.final_price_alc, subject: params.artId || 'art', detail: art };
+      }
+      case 'token': {
+        const token = this.dynamicPricing.calculateTokenValue(params);
+        return { base_price: token.base_value_alc, subject: params.tokenId || 'token', detail: token };
+      }
+      case 'feature': {
+        const feature = this.dynamicPricing.calculateFeatureCost(params);
+        return { base_price: feature.total_cost_alc, subject: params.tier || 'feature', detail: feature };
+      }
+      default:
+        return { error: `Unknown quote kind: ${kind}` };
+    }
+  }
+
+  /**
+   * A fresh, hard-to-guess quote ID
+   */
+  createQuoteId(time = Date.now()) {
+    return `quote-${time}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Issue a quote with the fully computed price, breakdown and TTL
+   * (quoteId reissues a logged quote under its original ID during replay)
+   */
+  issueQuote(request, time = Date.now(), quoteId = null) {
+    const { kind = 'item', params = {}, quantity = 1, user = null } = request;
+    const base = this.computeBasePrice(kind, params, quantity);
+
+    if (base.error) {
+      return base;
+    }
+
+    const capacitorPrice = this.capacitor.applyCapacitorPricing(base.base_price, time);
+    const totalMicro = base.includes_quantity
+      ? capacitorPrice.adjusted_price_micro
+      : capacitorPrice.adjusted_price_micro * quantity;
+    const unitPriceMicro = this.units.roundInteger(totalMicro / quantity);
+    const usdValue = this.units.toUSD(totalMicro, this.market.currentValue);
+
+    const quote = {
+      quote_id: quoteId || this.createQuoteId(time),
+      kind,
+      subject: base.subject,
+      user,
+      quantity,
+      unit_price_alc: this.units.fromMicro(unitPriceMicro),
+      unit_price_micro: unitPriceMicro,
+      total_price_alc: this.units.fromMicro(totalMicro),
+      total_price_micro: totalMicro,
+      usd_value: usdValue,
+      alc_usd_rate: this.market.currentValue,
+      breakdown: {
+        base: base.detail,
+        capacitor: capacitorPrice
+      },
+      issued_at: time,
+      expires_at: time + this.ttlMs,
+      ttl_ms: this.ttlMs,
+      status: 'open',
+      display: {
+        total_price: this.units.formatALC(totalMicro),
+        usd_value: this.units.formatUSD(usdValue)
+      }
+    };
+
+    this.quotes.set(quote.quote_id, quote);
+
+    return quote;
+  }
+
+  /**
+   * Look up a quote and its current status
+   */
+  getQuote(quoteId, time = Date.now()) {
+    const quote = this.quotes.get(quoteId);
+
+    if (!quote) {
+      return { error: `Unknown quote: ${quoteId}` };
+    }
+
+    if (quote.status === 'open' && time > quote.expires_at) {
+      quote.status = 'expired';
+    }
+
+    return quote;
+  }
+
+  /**
+   * Redeem a quote at its locked price for the quoted item, quantity and user
+   * (rejects expired or reused quotes and any mismatch)
+   */
+  redeemQuote(quoteId, options = {}) {
+    const { item = null, quantity = 1, user = null, time = Date.now() } = options;
+    const quote = this.getQuote(quoteId, time);
+
+    if (quote.error) {
+      return { redeemed: false, ...quote };
+    }
+
+    if (quote.status === 'redeemed') {
+      return {
+        redeemed: false,
+        error: 'Quote already redeemed',
+        quote_id: quoteId,
+        redeemed_at: quote.redeemed_at
+      };
+    }
+
+    if (quote.status === 'expired') {
+      return {
+        redeemed: false,
+        error: 'Quote expired',
+        quote_id: quoteId,
+        expired_at: quote.expires_at
+      };
+    }
+
+    if (item !== quote.subject || quantity !== quote.quantity) {
+      return {
+        redeemed: false,
+        error: 'Purchase does not match the quoted item and quantity',
+        quote_id: quoteId,
+        quoted: { item: quote.subject, quantity: quote.quantity },
+        purchased: { item, quantity }
+      };
+    }
+
+    // A quote issued to a user is only redeemed by that user
+    if (quote.user && quote.user !== user) {
+      return {
+        redeemed: false,
+        error: user ? 'Quote issued to a different user' : 'Quote issued to a user; the purchase names none',
+        quote_id: quoteId
+      };
+    }
+
+    quote.status = 'redeemed';
+    quote.redeemed_at = time;
+
+    return {
+      redeemed: true,
+      quote_id: quoteId,
+      subject: quote.subject,
+      quantity: quote.quantity,
+      locked_price_alc: quote.total_price_alc,
+      locked_price_micro: quote.total_price_micro,
+      usd_value: quote.usd_value,
+      redeemed_at: time
+    };
+  }
+
+  /**
+   * Drop quotes that are no longer redeemable
+   */
+  purgeQuotes(time = Date.now()) {
+    let purged = 0;
+
+    this.quotes.forEach((quote, quoteId) => {
+      if (this.getQuote(quoteId, time).status !== 'open') {
+        this.quotes.delete(quoteId);
+        purged++;
+      }
+    });
+
+    return {
+      purged,
+      open_quotes: this.quotes.size
+    };
+  }
+
+  /**
+   * Export quotes for snapshots
+   */
+  exportState() {
+    return {
+      quotes: Array.from(this.quotes.values()).map(q => ({ ...q }))
+    };
+  }
+
+  /**
+   * Restore quotes from a snapshot
+   */
+  importState(state) {
+    this.quotes = new Map(state.quotes.map(q => [q.quote_id, { ...q }]));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PriceQuotes;
+}
@@ -0,0 +1,245 @@
+/**
+ * Promo Codes Module
+ * Community event codes: percent off, fixed ALC off or a free item
+ */
+
+class PromoCodes {
+  constructor(pricingConfig, fairPricing = null) {
+    const Units = typeof ALCUnits !== 'undefined' ? ALCUnits : require('./alc-units');
+
+    this.units = new Units(pricingConfig);
+    this.spendCosts = pricingConfig.andy_lian_coin.spend_costs;
+    this.fairPricing = fairPricing;
+    this.codes = new Map();
+    this.usage = new Map();
+    this.redemptions = [];
+
+    (pricingConfig.promo_codes || []).forEach(definition => this.createCode(definition));
+  }
+
+  /**
+   * Define a promo code
+   */
+  createCode(definition) {
+    const {
+      code,
+      type,                   // percent, fixed_alc, free_item
+      value = 0,              // percent off, or ALC off
+      item = null,            // item made free by free_item codes
+      valid_from = null,      // ISO date or ms timestamp
+      valid_until = null,
+      max_uses = null,        // total redemptions allowed
+      max_uses_per_user = 1,
+      eligible_items = null,  // null means every item
+      stackable = false
+    } = definition;
+
+    if (!code || !['percent', 'fixed_alc', 'free_item'].includes(type)) {
+      return { created: false, error: 'Promo code needs a code and a type of percent, fixed_alc or free_item' };
+    }
+
+    if (type === 'free_item' && !this.spendCosts[item]) {
+      return { created: false, error: `Unknown free item: ${item}` };
+    }
+
+    const key = code.toUpperCase();
+    this.codes.set(key, {
+      code: key,
+      type,
+      value,
+      item,
+      valid_from: valid_from === null ? null : new Date(valid_from).getTime(),
+      valid_until: valid_until === null ? null : new Date(valid_until).getTime(),
+      max_uses,
+      max_uses_per_user,
+      eligible_items: type === 'free_item' ? [item] : eligible_items,
+      stackable
+    });
+
+    return { created: true, code: key, type };
+  }
+
+  /**
+   * Check one code against a purchase, returning the reason it can't be used
+   */
+  checkCode(promo, purchase) {
+    const { item, user, time } = purchase;
+    const usage = this.usage.get(promo.code) || { total: 0, by_user: {} };
+
+    if (promo.valid_from !== null && time < promo.valid_from) {
+      return 'not_yet_valid';
+    }
+    if (promo.valid_until !== null && time > promo.valid_until) {
+      return 'expired';
+    }
+    if (promo.max_uses !== null && usage.total >= promo.max_uses) {
+      return 'usage_cap_reached';
+    }
+    // A per-user cap can only be enforced for a known user
+    if (promo.max_uses_per_user !== null && !user) {
+      return 'user_required';
+    }
+    if (promo.max_uses_per_user !== null && (usage.by_user[user] || 0) >= promo.max_uses_per_user) {
+      return 'user_usage_cap_reached';
+    }
+    if (promo.eligible_items && !promo.eligible_items.includes(item)) {
+      return 'item_not_eligible';
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate codes against a purchase without recording anything
+   */
+  evaluate(codes, purchase) {
+    const { item, quantity = 1, priceMicro, user = null, time = Date.now() } = purchase;
+    const errors = [];
+    const promos = [];
+
+    codes.forEach(code => {
+      const promo = this.codes.get(String(code).toUpperCase());
+      if (!promo) {
+        errors.push({ code, reason: 'unknown_code' });
+        return;
+      }
+
+      const reason = this.checkCode(promo, { item, user, time });
+      if (reason) {
+        errors.push({ code: promo.code, reason });
+      } else {
+        promos.push(promo);
+      }
+    });
+
+    // Stacking: a non-stackable code must be used alone
+    if (promos.length > 1 && promos.some(p => !p.stackable)) {
+      promos.filter(p => !p.stackable).forEach(p => errors.push({ code: p.code, reason: 'not_stackable' }));
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    // Free items first, then percentages, then fixed amounts
+    const order = { free_item: 0, percent: 1, fixed_alc: 2 };
+    const applied = [];
+    const unitMicro = quantity > 0 ? this.units.roundInteger(priceMicro / quantity) : 0;
+    const floorMicro = this.units.toMicro(this.fairPricing ? this.fairPricing.priceFloor : 0.01);
+    let totalMicro = priceMicro;
+    let freeUnits = 0;
+
+    promos.sort((a, b) => order[a.type] - order[b.type]).forEach(promo => {
+      const before = totalMicro;
+
+      if (promo.type === 'free_item') {
+        totalMicro = Math.max(totalMicro - unitMicro, 0);
+        freeUnits = 1;
+      } else if (promo.type === 'percent') {
+        totalMicro = this.units.multiply(totalMicro, 1 - promo.value / 100);
+      } else {
+        totalMicro = Math.max(totalMicro - this.units.toMicro(promo.value), 0);
+      }
+
+      applied.push({ code: promo.code, type: promo.type, discount_micro: before - totalMicro });
+    });
+
+    // Paid units never drop below the fair pricing floor; granted free units may be zero
+    const paidUnits = quantity - freeUnits;
+    const floorTotalMicro = floorMicro * paidUnits;
+    const boundedByFloor = paidUnits > 0 && totalMicro < floorTotalMicro;
+    if (boundedByFloor) {
+      totalMicro = floorTotalMicro;
+    }
+
+    return {
+      valid: true,
+      codes: applied.map(a => a.code),
+      applied,
+      list_price_micro: priceMicro,
+      discount_micro: priceMicro - totalMicro,
+      total_micro: totalMicro,
+      bounded_by_price_floor: boundedByFloor
+    };
+  }
+
+  /**
+   * Redeem codes for a completed purchase and record the redemption
+   */
+  redeem(codes, purchase) {
+    const time = purchase.time || Date.now();
+    const evaluation = this.evaluate(codes, { ...purchase, time });
+
+    if (!evaluation.valid) {
+      return { redeemed: false, error: 'Promo code rejected', errors: evaluation.errors };
+    }
+
+    evaluation.codes.forEach(code => {
+      const usage = this.usage.get(code) || { total: 0, by_user: {} };
+      usage.total++;
+      if (purchase.user) {
+        usage.by_user[purchase.user] = (usage.by_user[purchase.user] || 0) + 1;
+      }
+      this.usage.set(code, usage);
+    });
+
+    const redemption = {
+      id: `promo-${this.redemptions.length + 1}`,
+      codes: evaluation.codes,
+      user: purchase.user || null,
+      item: purchase.item,
+      quantity: purchase.quantity || 1,
+      list_price_micro: evaluation.list_price_micro,
+      sale_price_micro: evaluation.total_micro,
+      discount_micro: evaluation.discount_micro,
+      timestamp: time
+    };
+    this.redemptions.push(redemption);
+
+    return { redeemed: true, redemption, evaluation };
+  }
+
+  /**
+   * Get usage of a code
+   */
+  getCodeStatus(code) {
+    const promo = this.codes.get(String(code).toUpperCase());
+
+    if (!promo) {
+      return { error: `Unknown promo code: ${code}` };
+    }
+
+    const usage = this.usage.get(promo.code) || { total: 0, by_user: {} };
+
+    return {
+      ...promo,
+      uses: usage.total,
+      uses_remaining: promo.max_uses === null ? null : promo.max_uses - usage.total,
+      unique_users: Object.keys(usage.by_user).length
+    };
+  }
+
+  /**
+   * Export codes, usage and redemptions for snapshots
+   */
+  exportState() {
+    return {
+      codes: Array.from(this.codes.values()).map(c => ({ ...c })),
+      usage: Object.fromEntries(this.usage),
+      redemptions: this.redemptions.slice()
+    };
+  }
+
+  /**
+   * Restore codes, usage and redemptions from a snapshot
+   */
+  importState(state) {
+    this.codes = new Map(state.codes.map(c => [c.code, { ...c }]));
+    this.usage = new Map(Object.entries(state.usage));
+    this.redemptions = state.redemptions.slice();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromoCodes;
+}
@@ -0,0 +1,335 @@
+/**
+ * API Server Module
+ * Serves the pricing engine's calculators as JSON endpoints over HTTP, with an
+ * inbound webhook for signals (Node only)
+ */
+
+class ApiServer {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+    // /signals only takes signals the engine verifies, unless unsigned ones are explicitly allowed
+    this.allowUnsignedSignals = options.allowUnsignedSignals === true;
+    this.server = null;
+
+    // Matched in order; named groups become route params
+    this.routes = [
+      { method: 'GET', path: /^\/health$/, handler: () => this.getHealth() },
+      { method: 'POST', path: /^\/quotes$/, handler: req => this.postQuote(req) },
+      { method: 'GET', path: /^\/quotes\/(?<quoteId>[^/]+)$/, handler: req => this.getQuote(req) },
+      { method: 'GET', path: /^\/earnings$/, handler: () => this.respond(200, { earn_rates: { ...engine.market.config.earn_rates } }) },
+      { method: 'GET', path: /^\/earnings\/(?<activity>[^/]+)$/, handler: req => this.getEarnings(req) },
+      { method: 'GET', path: /^\/costs$/, handler: () => this.respond(200, { spend_costs: { ...engine.market.config.spend_costs } }) },
+      { method: 'POST', path: /^\/costs\/cart$/, handler: req => this.postCartCost(req) },
+      { method: 'GET', path: /^\/costs\/(?<item>[^/]+)$/, handler: req => this.getCost(req) },
+      { method: 'GET', path: /^\/market$/, handler: req => this.getMarket(req) },
+      { method: 'GET', path: /^\/capacitor$/, handler: () => this.respond(200, engine.capacitor.getCapacitorState()) },
+      { method: 'GET', path: /^\/fairness$/, handler: () => this.respond(200, engine.fairPricing.getFairnessMetrics()) },
+      { method: 'GET', path: /^\/bonds$/, handler: () => this.respond(200, engine.hydrogen.getActiveBonds()) },
+      { method: 'POST', path: /^\/signals$/, handler: req => this.postSignal(req) }
+    ];
+  }
+
+  /**
+   * A JSON response
+   */
+  respond(status, body, headers = {}) {
+    return { status, body, headers };
+  }
+
+  /**
+   * 2xx for a calculator result, or errorStatus when it is an { error } result
+   */
+  fromResult(result, errorStatus = 400, okStatus = 200) {
+    return this.respond(result && result.error ? errorStatus : okStatus, result);
+  }
+
+  /**
+   * Route a parsed request ({ method, path, query, body }) to its handler.
+   * Resolves with { status, body, headers }.
+   */
+  async route(request) {
+    const matches = this.routes
+      .map(route => ({ route, match: route.path.exec(request.path) }))
+      .filter(({ match }) => match);
+
+    if (matches.length === 0) {
+      return this.respond(404, { error: `No route for ${request.path}` });
+    }
+
+    const matched = matches.find(({ route }) => route.method === request.method);
+    if (!matched) {
+      const allowed = matches.map(({ route }) => route.method);
+      return this.respond(405, { error: `Method ${request.method} not allowed`, allowed }, { Allow: allowed.join(', ') });
+    }
+
+    if (matched.route.method === 'POST' && (!request.body || typeof request.body !== 'object' || Array.isArray(request.body))) {
+      return this.respond(400, { error: 'Request body must be a JSON object' });
+    }
+
+    let params;
+    try {
+      params = Object.fromEntries(
+        Object.entries(matched.match.groups || {}).map(([name, value]) => [name, decodeURIComponent(value)])
+      );
+    } catch (error) {
+      return this.respond(400, { error: `Malformed path: ${request.path}` });
+    }
+
+    try {
+      return await matched.route.handler({ ...request, params });
+    } catch (error) {
+      return this.respond(500, { error: 'Internal server error', detail: error.message });
+    }
+  }
+
+  /**
+   * Service check
+   */
+  getHealth() {
+    return this.respond(200, { status: 'ok', machine_identity: this.engine.identity });
+  }
+
+  /**
+   * Issue a locked quote for an item, cart, art, token or feature
+   * ({ kind, params, quantity, user })
+   */
+  postQuote({ body }) {
+    const { kind, params, quantity, user } = body;
+
+    if (kind !== undefined && typeof kind !== 'string') {
+      return this.respond(400, { error: 'kind must be a string' });
+    }
+
+    if (params !== undefined && (!params || typeof params !== 'object' || Array.isArray(params))) {
+      return this.respond(400, { error: 'params must be a JSON object' });
+    }
+
+    if (user !== undefined && typeof user !== 'string') {
+      return this.respond(400, { error: 'user must be a string' });
+    }
+
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+      return this.respond(400, { error: 'quantity must be a positive integer' });
+    }
+
+    return this.fromResult(this.engine.issueQuote({ kind, params, quantity, user }), 400, 201);
+  }
+
+  /**
+   * A quote and its current status
+   */
+  getQuote({ params }) {
+    return this.fromResult(this.engine.quotes.getQuote(params.quoteId), 404);
+  }
+
+  /**
+   * ALC earned for an activity
+   */
+  getEarnings({ params }) {
+    return this.fromResult(this.engine.market.calculateEarnings(params.activity), 404);
+  }
+
+  /**
+   * Cost of an item (?quantity=3&promo_codes=SPRING,VIP&user=alice)
+   */
+  getCost({ params, query }) {
+    const quantity = query.has('quantity') ? Number(query.get('quantity')) : 1;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return this.respond(400, { error: 'quantity must be a positive integer' });
+    }
+
+    const promoCodes = query.has('promo_codes') ? query.get('promo_codes').split(',').filter(Boolean) : [];
+    const cost = this.engine.market.calculateCost(params.item, { quantity, promoCodes, user: query.get('user') });
+
+    // Unknown items are 404; rejected promo codes are 422
+    return this.fromResult(cost, cost.promo_errors ? 422 : 404);
+  }
+
+  /**
+   * Cost of a cart ({ cart: { item: quantity } }) with bundles applied
+   */
+  postCartCost({ body }) {
+    if (!body.cart || typeof body.cart !== 'object' || Array.isArray(body.cart)) {
+      return this.respond(400, { error: 'cart must map items to quantities' });
+    }
+
+    return this.fromResult(this.engine.market.calculateCartCost(body.cart), 422);
+  }
+
+  /**
+   * Market summary (?currencies=EUR,GBP for other display currencies)
+   */
+  getMarket({ query }) {
+    const currencies = query.has('currencies')
+      ? query.get('currencies').split(',').map(c => c.trim().toUpperCase()).filter(Boolean)
+      : undefined;
+
+    return this.respond(200, this.engine.market.getMarketSummary(currencies));
+  }
+
+  /**
+   * Inbound webhook: the body is a signal ({ source, event, data, timestamp, auth })
+   * handled like any other received signal
+   */
+  async postSignal({ body }) {
+    if (!this.engine.signalAuth.required && !this.allowUnsignedSignals) {
+      return this.respond(403, { error: 'Signal webhook disabled: the engine does not verify signal signatures' });
+    }
+
+    const result = await this.engine.handleSignal(body);
+    return this.respond(this.signalStatus(result), result);
+  }
+
+  /**
+   * Status code for a handled signal: 401 for failed signature checks, 404 for
+   * signals with no handler, 422 for payloads or actions that were refused
+   */
+  signalStatus(result) {
+    if (!result.signal_received) {
+      if (result.auth) return 401;
+      if (result.available_handlers) return 404;
+      return 422;
+    }
+
+    return result.error ? 422 : 200;
+  }
+
+  /**
+   * Read a request's JSON body (undefined when empty)
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      // An oversized body is drained and dropped so the 413 still reaches the client
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size <= this.maxBodyBytes) {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', () => {
+        if (size > this.maxBodyBytes) {
+          reject(Object.assign(new Error(`Body exceeds ${this.maxBodyBytes} bytes`), { status: 413 }));
+          return;
+        }
+
+        const text = Buffer.concat(chunks).toString('utf8');
+
+        if (text.trim() === '') {
+          resolve(undefined);
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(text));
+        } catch (error) {
+          reject(Object.assign(new Error(`Invalid JSON body: ${error.message}`), { status: 400 }));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Node http request listener
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let response;
+
+    try {
+      const body = req.method === 'POST' ? await this.readBody(req) : undefined;
+      response = await this.route({ method: req.method, path: url.pathname, query: url.searchParams, body });
+    } catch (error) {
+      response = this.respond(error.status || 500, { error: error.message });
+    }
+
+    res.writeHead(response.status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...response.headers
+    });
+    res.end(JSON.stringify(response.body));
+  }
+
+  /**
+   * Start listening; resolves with the bound address (port 0 picks a free port)
+   */
+  listen(port = 8787, host = '127.0.0.1') {
+    const http = require('http');
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        resolve({ listening: true, host: address.address, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve({ closed: false, error: 'Server is not listening' });
+    }
+
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.server = null;
+        resolve({ closed: true });
+      });
+    });
+  }
+}
+
+// Run standalone: node engine/api-server.js (PORT, HOST, SIGNAL_KEYS_FILE and REPO_REGISTRY_FILE
+// from the environment)
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const PricingEngine = require('./pricing-engine');
+  const root = path.join(__dirname, '..');
+  const readJson = file => JSON.parse(fs.readFileSync(path.resolve(root, file), 'utf8'));
+  const wiringConfig = readJson('.infinity/wiring-config.json');
+  const signalKeys = process.env.SIGNAL_KEYS_FILE ? readJson(process.env.SIGNAL_KEYS_FILE) : null;
+
+  // Without keys nothing can be verified: the engine starts, and /signals stays disabled
+  if (!signalKeys) {
+    wiringConfig.wiring_configuration.signal_auth.required = false;
+  }
+
+  const engine = new PricingEngine(
+    readJson('.infinity/alc-pricing.json'),
+    wiringConfig,
+    readJson('token.json'),
+    {
+      fiatRates: readJson('.infinity/fiat-rates.json'),
+      // The shipped registry lists example endpoints; sites are fanned out to only from a real one
+      repoRegistry: process.env.REPO_REGISTRY_FILE ? readJson(process.env.REPO_REGISTRY_FILE) : null,
+      signalKeys: signalKeys || {}
+    }
+  );
+
+  engine.scheduler.start();
+
+  new ApiServer(engine)
+    .listen(Number(process.env.PORT) || 8787, process.env.HOST || '127.0.0.1')
+    .then(({ host, port }) => console.log(`Pricing API listening on http://${host}:${port}`))
+    .catch(error => {
+      console.error(`Pricing API could not start: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApiServer;
+}
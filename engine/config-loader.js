@@ -0,0 +1,503 @@
+/**
+ * Config Loader Module
+ * Validates .infinity configuration against declared schemas and applies defaults
+ */
+
+// Built-in handler names PriceReceiver registers on construction
+const SUPPORTED_HANDLERS = [
+  'updatePriceOnPurchase',
+  'calculateArtPrice',
+  'mintTokenPrice',
+  'adjustMarketForces',
+  'updateFiatRates'
+];
+
+// Frequencies PriceBroadcaster.conditionalBroadcast understands
+const SUPPORTED_FREQUENCIES = [
+  'real_time',
+  'every_5_minutes',
+  'on_change',
+  'on_significant_change'
+];
+
+const ALC_PRICING_SCHEMA = {
+  type: 'object',
+  properties: {
+    andy_lian_coin: {
+      type: 'object',
+      required: true,
+      properties: {
+        base_value: { type: 'string', default: '1 ALC = 1 contribution' },
+        current_usd_value: { type: 'number', required: true, min: 0, exclusiveMin: true },
+        // No longer read: trend and volume are computed from the price history
+        daily_volume: { type: 'number', default: 0, min: 0 },
+        trend_percent: { type: 'number', default: 0 },
+        earn_rates: {
+          type: 'object',
+          required: true,
+          values: { type: 'number', min: 0, exclusiveMin: true }
+        },
+        spend_costs: {
+          type: 'object',
+          required: true,
+          values: { type: 'number', min: 0, exclusiveMin: true }
+        },
+        market_forces: {
+          type: 'object',
+          default: {},
+          properties: {
+            increases_when: { type: 'string', default: 'high_demand' },
+            decreases_when: { type: 'string', default: 'abundant_supply' },
+            stabilizes: { type: 'string', default: 'via_mongoose_learning' },
+            volatility: { type: 'number', default: 0.15, min: 0, max: 1 }
+          }
+        }
+      }
+    },
+    pricing_model: {
+      type: 'object',
+      default: {},
+      properties: {
+        type: { type: 'string', default: 'capacitor_discharge', enum: ['capacitor_discharge'] },
+        charge_accumulation: { type: 'string', default: 'from_activity' },
+        discharge_trigger: { type: 'string', default: 'on_purchase' },
+        balance_threshold: { type: 'number', default: 0.75, min: 0.5, max: 1 },
+        mode: { type: 'string', default: 'step', enum: ['step', 'rc'] },
+        time_constant_ms: { type: 'number', default: 3600000, min: 0, exclusiveMin: true }
+      }
+    },
+    arithmetic: {
+      type: 'object',
+      default: {},
+      properties: {
+        rounding_mode: {
+          type: 'string',
+          default: 'half_even',
+          enum: ['half_even', 'half_up', 'floor', 'ceil', 'truncate']
+        },
+        usd_decimals: { type: 'number', default: 2, min: 0 },
+        display_decimals: { type: 'number', default: 2, min: 0 }
+      }
+    },
+    discounts: {
+      type: 'object',
+      default: {},
+      properties: {
+        quantity_tiers: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              min_quantity: { type: 'number', required: true, min: 2 },
+              percent_off: { type: 'number', required: true, min: 0, exclusiveMin: true, max: 100 }
+            }
+          }
+        },
+        bundles: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', required: true },
+              items: { type: 'array', required: true, items: { type: 'string' } },
+              price_alc: { type: 'number', required: true, min: 0, exclusiveMin: true }
+            }
+          }
+        }
+      }
+    },
+    promo_codes: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', required: true },
+          type: { type: 'string', required: true, enum: ['percent', 'fixed_alc', 'free_item'] },
+          value: { type: 'number', default: 0, min: 0 },
+          item: { type: 'string' },
+          valid_from: { type: 'string' },
+          valid_until: { type: 'string' },
+          max_uses: { type: 'number', min: 1 },
+          max_uses_per_user: { type: 'number', default: 1, min: 1 },
+          eligible_items: { type: 'array', items: { type: 'string' } },
+          stackable: { type: 'boolean', default: false }
+        }
+      }
+    },
+    quotes: {
+      type: 'object',
+      default: {},
+      properties: {
+        ttl_ms: { type: 'number', default: 900000, min: 0, exclusiveMin: true }
+      }
+    },
+    market_maker: {
+      type: 'object',
+      default: {},
+      properties: {
+        mode: { type: 'string', default: 'oracle', enum: ['oracle', 'amm'] },
+        alc_reserve: { type: 'number', default: 100000, min: 0, exclusiveMin: true },
+        fee_percent: { type: 'number', default: 0.3, min: 0, max: 100 },
+        default_slippage_percent: { type: 'number', default: 1, min: 0, max: 100 }
+      }
+    },
+    price_history: {
+      type: 'object',
+      default: {},
+      properties: {
+        retention_ms: { type: 'number', default: 2592000000, min: 0, exclusiveMin: true },
+        max_ticks: { type: 'number', default: 50000, min: 1 }
+      }
+    },
+    machine_identity: { type: 'string', default: 'PRICE_ORACLE' },
+    last_updated: { type: 'string' }
+  }
+};
+
+const WIRING_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    wiring_configuration: {
+      type: 'object',
+      required: true,
+      properties: {
+        receives_signals: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'string', required: true },
+              event: { type: 'string', required: true },
+              handler: { type: 'string', required: true, enum: SUPPORTED_HANDLERS }
+            }
+          }
+        },
+        sends_updates: {
+          type: 'array',
+          required: true,
+          items: {
+            type: 'object',
+            properties: {
+              target: { type: 'string', required: true },
+              signal: { type: 'string', required: true },
+              frequency: { type: 'string', required: true, enum: SUPPORTED_FREQUENCIES }
+            }
+          }
+        },
+        hydrogen_bonds: {
+          type: 'object',
+          default: {},
+          properties: {
+            enabled: { type: 'boolean', default: true },
+            propagation_speed: { type: 'string', default: 'instant' },
+            bond_strength: { type: 'string', default: 'strong', enum: ['weak', 'strong', 'very_strong'] },
+            delivery_priority: {
+              type: 'object',
+              default: {},
+              properties: {
+                weak: { type: 'string', default: 'low', enum: ['high', 'normal', 'low'] },
+                strong: { type: 'string', default: 'normal', enum: ['high', 'normal', 'low'] },
+                very_strong: { type: 'string', default: 'high', enum: ['high', 'normal', 'low'] }
+              }
+            },
+            timeout_ms: {
+              type: 'object',
+              default: {},
+              properties: {
+                weak: { type: 'number', default: 2000, min: 0, exclusiveMin: true },
+                strong: { type: 'number', default: 5000, min: 0, exclusiveMin: true },
+                very_strong: { type: 'number', default: 10000, min: 0, exclusiveMin: true }
+              }
+            },
+            health: {
+              type: 'object',
+              default: {},
+              properties: {
+                window: { type: 'number', default: 50, min: 1 },
+                min_samples: { type: 'number', default: 10, min: 1 },
+                downgrade_below: { type: 'number', default: 0.8, min: 0, max: 1 },
+                break_after_failures: { type: 'number', default: 10, min: 1 }
+              }
+            }
+          }
+        },
+        domino_effect: {
+          type: 'object',
+          default: {},
+          properties: {
+            enabled: { type: 'boolean', default: true },
+            cascade: { type: 'string', default: 'price_adjusts_cascade_everywhere' },
+            threshold: { type: 'number', default: 0.05, min: 0, max: 1 }
+          }
+        },
+        sync_queue: {
+          type: 'object',
+          default: {},
+          properties: {
+            capacity: { type: 'number', default: 1000, min: 1 },
+            overflow_policy: { type: 'string', default: 'drop_oldest', enum: ['drop_oldest', 'reject'] },
+            base_delay_ms: { type: 'number', default: 1000, min: 0, exclusiveMin: true },
+            max_delay_ms: { type: 'number', default: 60000, min: 0, exclusiveMin: true },
+            jitter: { type: 'number', default: 0.2, min: 0, max: 1 },
+            max_attempts: {
+              type: 'object',
+              default: {},
+              properties: {
+                weak: { type: 'number', default: 2, min: 1 },
+                strong: { type: 'number', default: 5, min: 1 },
+                very_strong: { type: 'number', default: 8, min: 1 }
+              }
+            },
+            dead_letter_capacity: { type: 'number', default: 500, min: 1 }
+          }
+        },
+        delivery: {
+          type: 'object',
+          default: {},
+          properties: {
+            ack_timeout_ms: { type: 'number', default: 30000, min: 0, exclusiveMin: true },
+            max_tracked: { type: 'number', default: 1000, min: 1 }
+          }
+        },
+        broadcast_schedule: {
+          type: 'object',
+          default: {},
+          properties: {
+            debounce_ms: { type: 'number', default: 1000, min: 0 },
+            max_wait_ms: { type: 'number', default: 10000, min: 0 },
+            significant_change: { type: 'number', default: 0.05, min: 0, max: 1 }
+          }
+        },
+        conflict_resolution: {
+          type: 'object',
+          default: {},
+          properties: {
+            bidirectional_targets: { type: 'array', default: [], items: { type: 'string' } },
+            default_policy: {
+              type: 'string',
+              default: 'last_writer_wins',
+              enum: ['engine_authoritative', 'last_writer_wins', 'max']
+            },
+            field_policies: {
+              type: 'object',
+              default: {},
+              values: { type: 'string', enum: ['engine_authoritative', 'last_writer_wins', 'max'] }
+            },
+            max_conflicts: { type: 'number', default: 500, min: 1 }
+          }
+        },
+        signal_auth: {
+          type: 'object',
+          default: {},
+          properties: {
+            required: { type: 'boolean', default: true },
+            timestamp_window_ms: { type: 'number', default: 300000, min: 0, exclusiveMin: true }
+          }
+        }
+      }
+    },
+    mrw_terminal: {
+      type: 'object',
+      default: {},
+      values: { type: 'string' }
+    }
+  }
+};
+
+class ConfigLoader {
+  constructor(options = {}) {
+    this.handlers = (options.handlers || SUPPORTED_HANDLERS).concat(options.additionalHandlers || []);
+    this.frequencies = options.frequencies || SUPPORTED_FREQUENCIES;
+    this.pricingSchema = ALC_PRICING_SCHEMA;
+    this.wiringSchema = WIRING_CONFIG_SCHEMA;
+  }
+
+  /**
+   * Validate a value against a schema node, collecting errors and applying defaults
+   */
+  validate(value, schema, path, errors) {
+    if (value === undefined) {
+      if (schema.default !== undefined) {
+        value = JSON.parse(JSON.stringify(schema.default));
+      } else {
+        if (schema.required) {
+          errors.push({ path, message: 'is required' });
+        }
+        return undefined;
+      }
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actualType !== schema.type || (schema.type === 'number' && !Number.isFinite(value))) {
+      errors.push({ path, message: `expected ${schema.type}, got ${actualType === 'number' ? value : actualType}` });
+      return value;
+    }
+
+    const allowed = this.allowedValues(schema);
+    if (allowed && !allowed.includes(value)) {
+      errors.push({ path, message: `unsupported value "${value}", expected one of: ${allowed.join(', ')}` });
+    }
+
+    if (schema.type === 'number') {
+      this.validateRange(value, schema, path, errors);
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      return value.map((item, index) => this.validate(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (schema.type === 'object') {
+      return this.validateObject(value, schema, path, errors);
+    }
+
+    return value;
+  }
+
+  /**
+   * Validate object properties; unknown keys are reported as likely typos
+   */
+  validateObject(value, schema, path, errors) {
+    const result = {};
+    const prefix = path ? `${path}.` : '';
+
+    if (schema.properties) {
+      Object.keys(value).forEach(key => {
+        if (!schema.properties[key]) {
+          errors.push({
+            path: `${prefix}${key}`,
+            message: `unknown key, expected one of: ${Object.keys(schema.properties).join(', ')}`
+          });
+        }
+      });
+
+      Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+        const validated = this.validate(value[key], propertySchema, `${prefix}${key}`, errors);
+        if (validated !== undefined) {
+          result[key] = validated;
+        }
+      });
+    }
+
+    if (schema.values) {
+      Object.entries(value).forEach(([key, entry]) => {
+        result[key] = this.validate(entry, schema.values, `${prefix}${key}`, errors);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Check numeric bounds
+   */
+  validateRange(value, schema, path, errors) {
+    if (schema.min !== undefined) {
+      const tooLow = schema.exclusiveMin ? value <= schema.min : value < schema.min;
+      if (tooLow) {
+        errors.push({ path, message: `must be ${schema.exclusiveMin ? 'greater than' : 'at least'} ${schema.min}, got ${value}` });
+      }
+    }
+
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ path, message: `must be at most ${schema.max}, got ${value}` });
+    }
+  }
+
+  /**
+   * Resolve enums that track the supported handler and frequency lists
+   */
+  allowedValues(schema) {
+    if (schema.enum === SUPPORTED_HANDLERS) {
+      return this.handlers;
+    }
+    if (schema.enum === SUPPORTED_FREQUENCIES) {
+      return this.frequencies;
+    }
+    return schema.enum || null;
+  }
+
+  /**
+   * Validate alc-pricing.json
+   */
+  loadPricingConfig(rawConfig) {
+    return this.loadWithSchema(rawConfig, this.pricingSchema, 'alc-pricing.json');
+  }
+
+  /**
+   * Validate wiring-config.json
+   */
+  loadWiringConfig(rawConfig) {
+    return this.loadWithSchema(rawConfig, this.wiringSchema, 'wiring-config.json');
+  }
+
+  /**
+   * Validate a parsed config file against a schema
+   */
+  loadWithSchema(rawConfig, schema, file) {
+    const errors = [];
+    const config = this.validate(rawConfig, { ...schema, required: true }, '', errors);
+
+    return {
+      valid: errors.length === 0,
+      file,
+      errors: errors.map(e => ({ file, path: e.path || '(root)', message: e.message })),
+      config: errors.length === 0 ? config : null
+    };
+  }
+
+  /**
+   * Validate both configuration files together
+   */
+  load(pricingConfig, wiringConfig) {
+    const pricing = this.loadPricingConfig(pricingConfig);
+    const wiring = this.loadWiringConfig(wiringConfig);
+    const errors = pricing.errors.concat(wiring.errors);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      pricingConfig: pricing.config,
+      wiringConfig: wiring.config
+    };
+  }
+
+  /**
+   * Read and validate .infinity/*.json from disk (Node only)
+   */
+  loadFromDirectory(directory) {
+    const fs = require('fs');
+    const path = require('path');
+    const parsed = {};
+    const errors = [];
+
+    ['alc-pricing.json', 'wiring-config.json'].forEach(file => {
+      try {
+        parsed[file] = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      } catch (error) {
+        errors.push({ file, path: '(root)', message: error.message });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { valid: false, errors, pricingConfig: null, wiringConfig: null };
+    }
+
+    return this.load(parsed['alc-pricing.json'], parsed['wiring-config.json']);
+  }
+
+  /**
+   * Format validation errors for display
+   */
+  formatErrors(errors) {
+    return errors.map(e => `${e.file}: ${e.path} ${e.message}`).join('\n');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigLoader;
+}
@@ -0,0 +1,156 @@
+/**
+ * Engine Snapshot Module
+ * Versioned serialization and restore of full pricing engine state
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+// Upgrades keyed by the version they migrate from; each returns the next version
+const SNAPSHOT_MIGRATIONS = {};
+
+class EngineSnapshot {
+  constructor() {
+    this.version = SNAPSHOT_VERSION;
+    this.migrations = SNAPSHOT_MIGRATIONS;
+  }
+
+  /**
+   * Capture the state of every engine module
+   */
+  capture(engine, time = Date.now()) {
+    const snapshot = {
+      snapshot_version: this.version,
+      machine_identity: engine.identity,
+      captured_at: time,
+      state: {
+        market: engine.market.exportState(),
+        ledger: engine.ledger.exportState(),
+        quotes: engine.quotes.exportState(),
+        promo_codes: engine.market.promoCodes.exportState(),
+        currency: engine.market.currency.exportState(),
+        price_history: engine.market.history.exportState(),
+        liquidity_pool: engine.market.pool ? engine.market.pool.exportState() : null,
+        dynamic_pricing: engine.dynamicPricing.exportState(),
+        capacitor: engine.capacitor.exportState(),
+        fair_pricing: engine.fairPricing.exportState(),
+        receiver: engine.receiver.exportState(),
+        broadcaster: engine.broadcaster.exportState(),
+        hydrogen: engine.hydrogen.exportState(),
+        signal_auth: engine.signalAuth.exportState(),
+        repo_registry: engine.repos.exportState(),
+        message_contracts: engine.contracts.exportState(),
+        scheduler: engine.scheduler.exportState(),
+        engine: {
+          last_catalog: { ...engine.lastCatalog },
+          index_items: { ...engine.indexItems },
+          bond_ids: Object.fromEntries(engine.bondIds)
+        }
+      }
+    };
+
+    // Detach from live objects so later changes don't leak into the snapshot
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Restore engine state from a snapshot object or JSON string
+   */
+  restore(engine, snapshot) {
+    const parsed = typeof snapshot === 'string' ? this.parse(snapshot) : snapshot;
+
+    if (parsed.error) {
+      return parsed;
+    }
+
+    const migrated = this.migrate(parsed);
+
+    if (migrated.error) {
+      return migrated;
+    }
+
+    const { state } = migrated;
+    engine.market.importState(state.market);
+    engine.ledger.importState(state.ledger);
+    engine.quotes.importState(state.quotes);
+    engine.market.promoCodes.importState(state.promo_codes);
+    engine.market.currency.importState(state.currency);
+    engine.market.history.importState(state.price_history);
+    if (state.liquidity_pool && engine.market.pool) {
+      engine.market.pool.importState(state.liquidity_pool);
+    }
+    engine.dynamicPricing.importState(state.dynamic_pricing);
+    engine.capacitor.importState(state.capacitor);
+    engine.fairPricing.importState(state.fair_pricing);
+    engine.receiver.importState(state.receiver);
+    engine.broadcaster.importState(state.broadcaster);
+    engine.hydrogen.importState(state.hydrogen);
+    engine.signalAuth.importState(state.signal_auth);
+    engine.lastCatalog = { ...state.engine.last_catalog };
+    engine.indexItems = { ...state.engine.index_items };
+    engine.bondIds = new Map(Object.entries(state.engine.bond_ids));
+    engine.repos.importState(state.repo_registry);
+    engine.connectSites();
+    // Versions negotiated at runtime replace the ones declared in the registry
+    engine.contracts.importState(state.message_contracts);
+    engine.scheduler.importState(state.scheduler);
+
+    return {
+      restored: true,
+      snapshot_version: migrated.snapshot_version,
+      migrated_from: parsed.snapshot_version !== migrated.snapshot_version ? parsed.snapshot_version : null,
+      captured_at: migrated.captured_at
+    };
+  }
+
+  /**
+   * Upgrade an older snapshot to the current version
+   */
+  migrate(snapshot) {
+    if (!Number.isInteger(snapshot.snapshot_version) || !snapshot.state) {
+      return { error: 'Not an engine snapshot' };
+    }
+
+    if (snapshot.snapshot_version > this.version) {
+      return {
+        error: `Snapshot version ${snapshot.snapshot_version} is newer than supported version ${this.version}`
+      };
+    }
+
+    let migrated = JSON.parse(JSON.stringify(snapshot));
+
+    while (migrated.snapshot_version < this.version) {
+      const migration = this.migrations[migrated.snapshot_version];
+
+      if (!migration) {
+        return { error: `No migration from snapshot version ${migrated.snapshot_version}` };
+      }
+
+      migrated = migration(migrated);
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Serialize a snapshot to JSON
+   */
+  serialize(snapshot) {
+    return JSON.stringify(snapshot);
+  }
+
+  /**
+   * Parse a serialized snapshot
+   */
+  parse(json) {
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      return { error: `Invalid snapshot JSON: ${error.message}` };
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EngineSnapshot;
+}
@@ -0,0 +1,212 @@
+/**
+ * Event Log Module
+ * Append-only, sequence-numbered JSONL log of signals, commands, sync outcomes and broadcasts
+ */
+
+// Entry types that change engine state, and the transport outcomes a replay uses in
+// place of its transports; broadcasts are recorded for audit only
+const EVENT_TYPES = ['engine_started', 'snapshot_restored', 'signal_received', 'command', 'sync_result', 'broadcast_sent'];
+
+class EventLog {
+  constructor(options = {}) {
+    this.path = options.path || null;   // JSONL file (Node); in-memory when null
+    this.entries = [];
+    this.lastSeq = 0;
+    this.needsRepair = false;   // A crash left a half-written final line; cut before the next append
+
+    if (this.path) {
+      const { entries, torn_line: tornLine } = this.readLog();
+      this.lastSeq = entries.length > 0 ? entries[entries.length - 1].seq : 0;
+      this.needsRepair = tornLine !== null;
+    }
+  }
+
+  /**
+   * Cut a torn final line off the file so appends start on a fresh line.
+   * The only write besides append; reads leave the file as it is.
+   */
+  repair() {
+    const { torn_line: tornLine } = this.readLog();
+
+    if (tornLine) {
+      const fs = require('fs');
+      fs.truncateSync(this.path, tornLine.offset);
+    }
+
+    this.needsRepair = false;
+    return { repaired: tornLine !== null, torn_line: tornLine };
+  }
+
+  /**
+   * Append an event and return it with its sequence number
+   */
+  append(type, data, time = Date.now()) {
+    if (!EVENT_TYPES.includes(type)) {
+      return { appended: false, error: `Unknown event type: ${type}`, event_types: EVENT_TYPES };
+    }
+
+    const entry = {
+      seq: this.lastSeq + 1,
+      type,
+      time,
+      data: JSON.parse(JSON.stringify(data))
+    };
+
+    if (this.path) {
+      const fs = require('fs');
+      if (this.needsRepair) {
+        this.repair();
+      }
+      fs.appendFileSync(this.path, `${JSON.stringify(entry)}\n`);
+    } else {
+      this.entries.push(entry);
+    }
+
+    this.lastSeq = entry.seq;
+    return entry;
+  }
+
+  /**
+   * Entries in sequence order, and the torn final line if there is one
+   */
+  readLog() {
+    if (!this.path) {
+      return { entries: this.entries.slice(), torn_line: null };
+    }
+
+    const fs = require('fs');
+    if (!fs.existsSync(this.path)) {
+      return { entries: [], torn_line: null };
+    }
+
+    return EventLog.parseLines(fs.readFileSync(this.path, 'utf8'));
+  }
+
+  /**
+   * Read every entry in sequence order
+   */
+  readEntries() {
+    return this.readLog().entries;
+  }
+
+  /**
+   * Entries up to a point in time and/or sequence number
+   */
+  getEntries(options = {}) {
+    const { fromSeq = 1, untilSeq = Infinity, until = Infinity, types = null } = options;
+
+    return this.readEntries().filter(entry =>
+      entry.seq >= fromSeq &&
+      entry.seq <= untilSeq &&
+      entry.time <= until &&
+      (!types || types.includes(entry.type))
+    );
+  }
+
+  /**
+   * Entries needed to rebuild state: the last start or restore, then the inputs after it
+   */
+  getReplayEntries(options = {}) {
+    const { untilSeq = Infinity, until = Infinity } = options;
+    const { entries: logged, torn_line: tornLine } = this.readLog();
+    const inputs = logged.filter(e => e.seq <= untilSeq && e.type !== 'broadcast_sent');
+
+    // Replay is a prefix of the log: stop at the first input after the cut-off time
+    const cutIndex = inputs.findIndex(e => e.time > until);
+    const entries = cutIndex === -1 ? inputs : inputs.slice(0, cutIndex);
+    let baseIndex = -1;
+
+    entries.forEach((entry, index) => {
+      if (entry.type === 'engine_started' || entry.type === 'snapshot_restored') {
+        baseIndex = index;
+      }
+    });
+
+    if (baseIndex === -1) {
+      return { error: 'Event log has no engine_started entry to replay from' };
+    }
+
+    return {
+      base: entries[baseIndex],
+      events: entries.slice(baseIndex + 1),
+      torn_line: tornLine
+    };
+  }
+
+  /**
+   * Log summary
+   */
+  getLogStatus() {
+    const { entries, torn_line: tornLine } = this.readLog();
+    const counts = {};
+
+    entries.forEach(entry => {
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+    });
+
+    return {
+      path: this.path,
+      durable: this.path !== null,
+      entries: entries.length,
+      last_seq: this.lastSeq,
+      first_time: entries.length > 0 ? entries[0].time : null,
+      last_time: entries.length > 0 ? entries[entries.length - 1].time : null,
+      torn_line: tornLine,
+      counts
+    };
+  }
+
+  /**
+   * Parse JSONL text into entries, refusing gaps or out-of-order sequence numbers
+   */
+  static parse(text) {
+    return EventLog.parseLines(text).entries;
+  }
+
+  /**
+   * Parse JSONL text into { entries, torn_line }. An unparseable final line is what
+   * a crash mid-append leaves behind, so it is skipped and reported with its byte
+   * offset; an unparseable line anywhere else is corruption and still throws.
+   */
+  static parseLines(text) {
+    const entries = [];
+    const lines = text.split('\n');
+    const lastIndex = lines.map(line => line.trim() !== '').lastIndexOf(true);
+    let offset = 0;
+    let tornLine = null;
+
+    lines.forEach((line, index) => {
+      const lineOffset = offset;
+      offset += new TextEncoder().encode(line).length + 1;
+
+      if (line.trim() === '' || tornLine) {
+        return;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (index === lastIndex) {
+          tornLine = { line: index + 1, offset: lineOffset, text: line, error: error.message };
+          return;
+        }
+        throw new Error(`Event log line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+
+      const expected = entries.length > 0 ? entries[entries.length - 1].seq + 1 : entry.seq;
+      if (entry.seq !== expected) {
+        throw new Error(`Event log line ${index + 1} has seq ${entry.seq}, expected ${expected}`);
+      }
+
+      entries.push(entry);
+    });
+
+    return { entries, torn_line: tornLine };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventLog;
+}
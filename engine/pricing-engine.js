@@ -0,0 +1,1137 @@
+/**
+ * Pricing Engine Module
+ * Owns the calculators and wiring, and turns received signals into real price changes
+ */
+
+/**
+ * Resolve module classes from browser globals or CommonJS
+ */
+function resolveEngineModules() {
+  return {
+    ALCMarket: typeof ALCMarket !== 'undefined' ? ALCMarket : require('../calculator/alc-market'),
+    ALCLedger: typeof ALCLedger !== 'undefined' ? ALCLedger : require('../calculator/alc-ledger'),
+    PriceQuotes: typeof PriceQuotes !== 'undefined' ? PriceQuotes : require('../calculator/price-quotes'),
+    DynamicPricing: typeof DynamicPricing !== 'undefined' ? DynamicPricing : require('../calculator/dynamic-pricing'),
+    CapacitorModel: typeof CapacitorModel !== 'undefined' ? CapacitorModel : require('../calculator/capacitor-model'),
+    FairPricing: typeof FairPricing !== 'undefined' ? FairPricing : require('../calculator/fair-pricing'),
+    PriceReceiver: typeof PriceReceiver !== 'undefined' ? PriceReceiver : require('../wiring/price-receiver'),
+    PriceBroadcaster: typeof PriceBroadcaster !== 'undefined' ? PriceBroadcaster : require('../wiring/price-broadcaster'),
+    HydrogenSync: typeof HydrogenSync !== 'undefined' ? HydrogenSync : require('../wiring/hydrogen-sync'),
+    BroadcastScheduler: typeof BroadcastScheduler !== 'undefined' ? BroadcastScheduler : require('../wiring/broadcast-scheduler'),
+    RepoRegistry: typeof RepoRegistry !== 'undefined' ? RepoRegistry : require('../wiring/repo-registry'),
+    MessageContracts: typeof MessageContracts !== 'undefined' ? MessageContracts : require('../wiring/message-contracts'),
+    WebhookTransport: typeof WebhookTransport !== 'undefined' ? WebhookTransport : require('../wiring/transports/webhook-transport'),
+    WebSocketTransport: typeof WebSocketTransport !== 'undefined' ? WebSocketTransport : require('../wiring/transports/websocket-transport'),
+    SignalAuth: typeof SignalAuth !== 'undefined' ? SignalAuth : require('../wiring/signal-auth'),
+    EngineSnapshot: typeof EngineSnapshot !== 'undefined' ? EngineSnapshot : require('./engine-snapshot'),
+    EventLog: typeof EventLog !== 'undefined' ? EventLog : require('./event-log'),
+    ConfigLoader: typeof ConfigLoader !== 'undefined' ? ConfigLoader : require('./config-loader')
+  };
+}
+
+class PricingEngine {
+  constructor(rawPricingConfig, rawWiringConfig, tokenData = {}, options = {}) {
+    const modules = resolveEngineModules();
+    const customHandlers = options.handlers || {};
+
+    // Refuse to start on invalid configuration
+    const loader = new modules.ConfigLoader({ additionalHandlers: Object.keys(customHandlers) });
+    const loaded = loader.load(rawPricingConfig, rawWiringConfig);
+    if (!loaded.valid) {
+      throw new Error(`Invalid pricing engine configuration:\n${loader.formatErrors(loaded.errors)}`);
+    }
+    const { pricingConfig, wiringConfig } = loaded;
+
+    // Kept so replay can build an identical engine
+    this.constructorArgs = { rawPricingConfig, rawWiringConfig, tokenData, options };
+
+    this.identity = pricingConfig.machine_identity || 'PRICE_ORACLE';
+    this.nodeName = 'pricing-engine';
+
+    // One clock for every module ({ now, setTimeout, clearTimeout }; options.schedulerClock
+    // for a manual one). While a command or signal runs, now() is held at its logged time
+    // so a replay of the log sees the same times.
+    const baseClock = options.schedulerClock || {
+      now: () => Date.now(),
+      setTimeout: (fn, ms) => setTimeout(fn, ms),
+      clearTimeout: id => clearTimeout(id)
+    };
+    this.commandTime = null;
+    this.clock = {
+      now: () => this.commandTime ?? baseClock.now(),
+      setTimeout: (fn, ms) => baseClock.setTimeout(fn, ms),
+      clearTimeout: id => baseClock.clearTimeout(id)
+    };
+
+    // Calculators (discounts are bounded by the fair pricing floor)
+    this.fairPricing = new modules.FairPricing(pricingConfig);
+    this.market = new modules.ALCMarket(pricingConfig, this.fairPricing);
+    this.ledger = new modules.ALCLedger(this.market, tokenData);
+    this.dynamicPricing = new modules.DynamicPricing(pricingConfig);
+    this.capacitor = new modules.CapacitorModel(pricingConfig);
+    this.units = this.market.units;
+    this.quotes = new modules.PriceQuotes({
+      market: this.market,
+      dynamicPricing: this.dynamicPricing,
+      capacitor: this.capacitor
+    }, pricingConfig);
+
+    // Wiring
+    this.receiver = new modules.PriceReceiver(wiringConfig);
+    this.broadcaster = new modules.PriceBroadcaster(wiringConfig, { clock: this.clock });
+    this.hydrogen = new modules.HydrogenSync(wiringConfig, { nodeId: this.nodeName, now: this.clock.now });
+    this.bidirectionalTargets = wiringConfig.wiring_configuration.conflict_resolution.bidirectional_targets;
+
+    // Transports per target, e.g. { commerce: new WebhookTransport({ url }) }
+    Object.entries(options.transports || {}).forEach(([target, transport]) => {
+      const registered = this.hydrogen.registerTransport(target, transport);
+      if (!registered.registered) {
+        throw new Error(`Invalid transport for ${target}: ${registered.error}`);
+      }
+    });
+
+    // Versioned payload contracts, checked on every send and receive
+    this.contracts = new modules.MessageContracts();
+    this.receiver.setContracts(this.contracts);
+    this.broadcaster.setContracts(this.contracts);
+
+    // Signal auth: options.signalKeys = { sources: { commerce: { secret } }, signing: { secret } }
+    this.signalAuth = new modules.SignalAuth(wiringConfig, options.signalKeys || {}, { identity: this.identity });
+    if (this.signalAuth.required && this.signalAuth.sourceKeys.size === 0) {
+      throw new Error('signal_auth.required is set but no source keys were given (options.signalKeys.sources); every signal would be rejected');
+    }
+    this.receiver.setAuthenticator(this.signalAuth);
+    this.broadcaster.setSigner(this.signalAuth);
+
+    // Custom handlers: { name: handler } or { name: { handler, schema } }
+    Object.entries(customHandlers).forEach(([name, spec]) => {
+      const handler = typeof spec === 'function' ? spec : spec.handler;
+      this.receiver.registerHandler(name, handler, { schema: spec.schema });
+    });
+
+    this.snapshots = new modules.EngineSnapshot();
+
+    this.actions = {
+      updatePriceOnPurchase: (data, time) => this.applyPurchase(data, time),
+      calculateArtPrice: (data, time) => this.applyArtCreated(data, time),
+      mintTokenPrice: (data, time) => this.applyTokenMint(data, time),
+      adjustMarketForces: (data, time) => this.applyEconomyStatus(data, time),
+      updateFiatRates: (data, time) => this.applyFiatRates(data, time)
+    };
+
+    // Fiat rate table, e.g. .infinity/fiat-rates.json
+    if (options.fiatRates) {
+      const rates = this.market.currency.loadRates(options.fiatRates);
+      if (!rates.loaded) {
+        throw new Error(`Invalid fiat rate table:\n${rates.errors.join('\n')}`);
+      }
+    }
+
+    // Infinity sites that ALL_REPOS broadcasts fan out to, e.g. .infinity/repo-registry.json.
+    // Each site gets a bond and, unless options.transports has one or siteTransports
+    // is false, a webhook or WebSocket transport for its endpoint.
+    this.repos = new modules.RepoRegistry(wiringConfig);
+    this.broadcaster.setRegistry(this.repos);
+    this.siteTransports = options.siteTransports !== false;
+    this.endpointTransports = new Set();   // Sites whose transport was built from their endpoint
+    if (options.repoRegistry) {
+      const repos = this.repos.load(options.repoRegistry);
+      if (!repos.loaded) {
+        throw new Error(`Invalid repo registry:\n${repos.errors.join('\n')}`);
+      }
+    }
+
+    // Fair pricing tracks the ALC/USD value series, seeded with the configured value
+    this.fairPricing.validatePrice(this.market.currentValue);
+
+    this.lastCatalog = this.getCatalogPrices();
+    this.indexItems = {};   // Art and tokens priced for the index-designer catalog
+    this.bondIds = new Map();
+    this.bondTargets();
+    this.connectSites();
+
+    // Timed and debounced broadcasts; idle (sending at once) until scheduler.start()
+    this.scheduler = new modules.BroadcastScheduler(wiringConfig, {
+      clock: this.clock,
+      run: (action, target, perform) => this.runCommand({ command: 'schedule', action, target }, this.clock.now(), perform)
+    });
+    this.scheduleTargets();
+
+    // Event log: state at start, then every signal, command, sync outcome and broadcast
+    this.eventLog = options.eventLog || null;
+    if (this.eventLog) {
+      this.broadcaster.onSend(update => this.logEvent('broadcast_sent', update, update.timestamp));
+      this.hydrogen.onSync(sync => this.logEvent('sync_result', sync, sync.time));
+      const startedAt = this.clock.now();
+      this.logEvent('engine_started', this.createSnapshot(startedAt), startedAt);
+    }
+  }
+
+  /**
+   * Append to the event log when one is attached
+   */
+  logEvent(type, data, time = this.clock.now()) {
+    return this.eventLog ? this.eventLog.append(type, data, time) : null;
+  }
+
+  /**
+   * Run an action with the engine clock held at a time (replay holds it at each entry's time)
+   */
+  atTime(time, action) {
+    const previous = this.commandTime;
+    this.commandTime = time;
+
+    try {
+      return action();
+    } finally {
+      this.commandTime = previous;
+    }
+  }
+
+  /**
+   * Log a command and run it at its logged time. Commands run by another command
+   * (a nack's catalog resend, the queue run after a broadcast) are part of it and
+   * are not logged again.
+   */
+  runCommand(command, time, action) {
+    if (this.commandTime === null) {
+      this.logEvent('command', command, time);
+    }
+    return this.atTime(time, action);
+  }
+
+  /**
+   * Create a hydrogen bond to every broadcast target (bidirectional where the
+   * target also writes prices back)
+   */
+  bondTargets() {
+    this.broadcaster.broadcastTargets.forEach((config, target) => {
+      // ALL_REPOS is not a site; its broadcasts travel over each subscribed site's bond
+      if (target === 'ALL_REPOS') {
+        return;
+      }
+
+      const bondType = this.bidirectionalTargets.includes(target) ? 'bidirectional' : 'outbound';
+      const bond = this.hydrogen.createBond(this.nodeName, target, bondType);
+      this.bondIds.set(target, bond.bond_id);
+    });
+  }
+
+  /**
+   * Bond every registered site and give it a transport for its endpoint
+   */
+  connectSites() {
+    return Array.from(this.repos.sites.keys()).map(name => this.connectSite(name));
+  }
+
+  /**
+   * Bond a registered site (configured targets keep their bond), agree the message
+   * versions it declares and build its transport
+   */
+  connectSite(name) {
+    const site = this.repos.getSite(name);
+
+    if (!this.bondIds.has(name)) {
+      const bondType = this.bidirectionalTargets.includes(name) ? 'bidirectional' : 'outbound';
+      this.bondIds.set(name, this.hydrogen.createBond(this.nodeName, name, bondType).bond_id);
+    }
+
+    const schemas = site.schemas ? this.contracts.negotiate(name, site.schemas) : null;
+
+    // Transports passed in options win over endpoint transports
+    let transport = null;
+    if (this.siteTransports && (this.endpointTransports.has(name) || !this.hydrogen.transports.has(name))) {
+      const modules = resolveEngineModules();
+      const built = /^wss?:/.test(site.endpoint)
+        ? new modules.WebSocketTransport({ url: site.endpoint })
+        : new modules.WebhookTransport({ url: site.endpoint, timeoutMs: this.hydrogen.getTimeout(this.hydrogen.bondStrength) });
+
+      transport = this.hydrogen.registerTransport(name, built).transport;
+      this.endpointTransports.add(name);
+    }
+
+    return { site: name, bond_id: this.bondIds.get(name), transport, schemas };
+  }
+
+  /**
+   * A site announced the message versions it supports ({ message_type: [versions] })
+   */
+  negotiateSchemas(site, supported, time = this.clock.now()) {
+    return this.runCommand({ command: 'negotiateSchemas', site, supported }, time, () =>
+      this.contracts.negotiate(site, supported)
+    );
+  }
+
+  /**
+   * Register an Infinity site ({ name, endpoint, subscriptions, capabilities }) at runtime
+   */
+  registerSite(site, time = this.clock.now()) {
+    return this.runCommand({ command: 'registerSite', site }, time, () => {
+      const registered = this.repos.registerSite(site, time);
+
+      if (!registered.registered) {
+        return registered;
+      }
+
+      return { ...registered, ...this.connectSite(site.name) };
+    });
+  }
+
+  /**
+   * Unregister a site: it gets no more fan-out broadcasts, and its bond is broken
+   * unless it is also a configured broadcast target
+   */
+  unregisterSite(name, time = this.clock.now()) {
+    return this.runCommand({ command: 'unregisterSite', name }, time, () => this.removeSite(name, time));
+  }
+
+  /**
+   * Drop a site's registry entry, endpoint transport and (unless it is a configured target) bond
+   */
+  removeSite(name, time) {
+    const unregistered = this.repos.unregisterSite(name);
+
+    if (!unregistered.unregistered) {
+      return unregistered;
+    }
+
+    if (this.endpointTransports.delete(name)) {
+      const transport = this.hydrogen.transports.get(name);
+      if (transport && typeof transport.close === 'function') {
+        transport.close();
+      }
+      this.hydrogen.unregisterTransport(name);
+    }
+
+    let bondBroken = false;
+    if (!this.broadcaster.broadcastTargets.has(name) && this.bondIds.has(name)) {
+      bondBroken = Boolean(this.hydrogen.breakBond(this.bondIds.get(name), 'site_unregistered', time).bond_broken);
+      this.bondIds.delete(name);
+    }
+
+    return { ...unregistered, bond_broken: bondBroken };
+  }
+
+  /**
+   * Register scheduled targets: dash-hub's periodic market data and index-designer's catalog changes
+   */
+  scheduleTargets() {
+    this.scheduler.register('dash-hub', {
+      source: time => this.getMarketData(time),
+      send: (marketData, time) => this.broadcastAndSync('dash-hub', () => this.broadcaster.broadcastToDashHub(marketData), time)
+    });
+    // Index-designer gets a patch against the catalog version it last acknowledged
+    this.scheduler.register('index-designer', {
+      coalesce: (pending, next) => ({ items: Array.from(new Set([...pending.items, ...next.items])) }),
+      send: (change, time) => this.broadcastAndSync('index-designer', () =>
+        this.broadcaster.broadcastCatalog('index-designer', this.getIndexCatalog(time)), time
+      )
+    });
+  }
+
+  /**
+   * Let dash-hub know the market moved; the scheduler sends at once, or coalesces
+   * bursts into its next send while it runs
+   */
+  notifyMarketChange(time = this.clock.now()) {
+    const result = this.scheduler.notifyChange('dash-hub', this.getMarketData(time));
+    return result.sent || result.scheduled ? [result] : [];
+  }
+
+  /**
+   * Let index-designer know the catalog may have changed (the diff decides what is sent)
+   */
+  notifyCatalogChange(items, time = this.clock.now()) {
+    const result = this.scheduler.notifyChange('index-designer', { items });
+    return result.sent || result.scheduled ? [result] : [];
+  }
+
+  /**
+   * Receive a signal, run its handler and act on the result (at the receive time on the engine clock)
+   */
+  handleSignal(signal, receivedAt = this.clock.now()) {
+    // Log the signal with its receive time so a replay verifies and applies it identically
+    const stamped = { ...signal, timestamp: signal.timestamp ?? receivedAt };
+    if (this.commandTime === null) {
+      this.logEvent('signal_received', stamped, receivedAt);
+    }
+
+    const processed = this.atTime(receivedAt, () => this.receiver.processSignal(stamped, receivedAt));
+
+    // Async handlers or middleware resolve later
+    if (typeof processed.then === 'function') {
+      return processed.then(result => this.atTime(receivedAt, () => this.applyProcessedSignal(result, stamped, receivedAt)));
+    }
+
+    return this.atTime(receivedAt, () => this.applyProcessedSignal(processed, stamped, receivedAt));
+  }
+
+  /**
+   * Act on a processed signal's handler result at the time it was received
+   */
+  applyProcessedSignal(processed, signal, receivedAt = this.clock.now()) {
+    if (!processed.signal_received) {
+      return processed;
+    }
+
+    const handlerName = processed.signal_received.handler;
+    const action = this.actions[handlerName];
+
+    if (processed.handler_result?.error) {
+      return {
+        ...processed,
+        engine_applied: false,
+        error: processed.handler_result.error
+      };
+    }
+
+    // Custom handlers act on their own; the engine has nothing to apply
+    if (!action) {
+      return {
+        ...processed,
+        engine_applied: false
+      };
+    }
+
+    // Actions run at the receive time on the engine clock; the sender's timestamp
+    // only places the signal in the signature time window
+    const applied = action(signal.data || {}, receivedAt);
+
+    if (applied.error) {
+      return {
+        ...processed,
+        engine_applied: false,
+        error: applied.error,
+        engine_result: applied
+      };
+    }
+
+    return {
+      ...processed,
+      engine_applied: true,
+      engine_result: applied
+    };
+  }
+
+  /**
+   * Issue a price quote that checkout can later redeem at the locked price
+   */
+  issueQuote(request, time = this.clock.now(), quoteId = this.quotes.createQuoteId(time)) {
+    return this.runCommand({ command: 'issueQuote', request, quote_id: quoteId }, time, () =>
+      this.quotes.issueQuote(request, time, quoteId)
+    );
+  }
+
+  /**
+   * purchase_made: discharge the capacitor and push repriced items to commerce
+   */
+  applyPurchase(purchaseData, time = this.clock.now()) {
+    const { item, quantity = 1, price, quote_id: quoteId, user, promo_codes: promoCodes = [] } = purchaseData;
+    let quote = null;
+    let discount = null;
+    let promo = null;
+    let totalAlc;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { charged: false, error: 'quantity must be a positive integer' };
+    }
+
+    // Quoted purchases are charged exactly the locked price
+    if (quoteId) {
+      quote = this.quotes.redeemQuote(quoteId, { item, quantity, user, time });
+
+      if (!quote.redeemed) {
+        return {
+          charged: false,
+          error: quote.error,
+          quote
+        };
+      }
+
+      totalAlc = quote.locked_price_alc;
+    } else {
+      const catalogPrice = this.market.config.spend_costs[item];
+      if (catalogPrice === undefined) {
+        return { charged: false, error: `Unknown item type: ${item}` };
+      }
+
+      // Bulk quantities get the tiered discount on the unit price paid (or the catalog price)
+      const unitPrice = price ?? catalogPrice;
+      discount = this.market.discounts.applyQuantityDiscount(this.units.toMicro(unitPrice), quantity);
+      totalAlc = this.units.fromMicro(discount.total_micro);
+
+      if (promoCodes.length > 0) {
+        promo = this.market.promoCodes.redeem(promoCodes, {
+          item,
+          quantity,
+          priceMicro: discount.total_micro,
+          user,
+          time
+        });
+
+        if (!promo.redeemed) {
+          return {
+            charged: false,
+            error: promo.error,
+            promo
+          };
+        }
+
+        totalAlc = this.units.fromMicro(promo.redemption.sale_price_micro);
+      }
+    }
+
+    this.market.recordTrade(this.units.toMicro(totalAlc), time);
+
+    const purchaseSize = this.normalizePurchaseSize(totalAlc);
+    const discharge = this.capacitor.dischargeOnPurchase(purchaseSize, time);
+
+    return {
+      charged: true,
+      charged_price_alc: totalAlc,
+      quote,
+      discount,
+      promo,
+      capacitor: discharge,
+      broadcasts: this.publishCatalogChanges('purchase_made', time)
+    };
+  }
+
+  /**
+   * art_created: price the new art and publish it to the catalog
+   */
+  applyArtCreated(artData, time = this.clock.now()) {
+    const artPrice = this.dynamicPricing.calculateArtPrice(artData);
+    const priced = this.priceThroughEngine(artPrice.final_price_alc, time);
+
+    const item = artData.artId || 'new_art';
+    this.indexItems[item] = priced.fair_price;
+
+    return {
+      art_price: artPrice,
+      ...priced,
+      broadcasts: this.notifyCatalogChange([item], time)
+    };
+  }
+
+  /**
+   * new_token: value the minted token and publish it to the catalog
+   */
+  applyTokenMint(tokenData, time = this.clock.now()) {
+    const { tokenId, type, utility, supply } = tokenData;
+    const tokenValue = this.dynamicPricing.calculateTokenValue({ type, utility, scarcity: supply });
+    const priced = this.priceThroughEngine(tokenValue.base_value_alc, time);
+
+    const item = tokenId || 'new_token';
+    this.indexItems[item] = priced.fair_price;
+
+    return {
+      token_value: tokenValue,
+      ...priced,
+      broadcasts: this.notifyCatalogChange([item], time)
+    };
+  }
+
+  /**
+   * economy_status: move the ALC market value and charge from activity
+   */
+  applyEconomyStatus(economyData, time = this.clock.now()) {
+    const { supply = 1000, demand = 1000, activity = 0 } = economyData;
+    const oldValue = this.market.currentValue;
+
+    const realTime = this.dynamicPricing.adjustRealTime({ supply, demand, recentActivity: activity });
+    // In amm mode the pool sets the value; economy signals only move charge and demand
+    const marketChange = this.market.adjustMarketValue(demand / supply, time);
+    const validation = marketChange.error ? null : this.fairPricing.validatePrice(this.market.currentValue);
+    if (validation) {
+      this.market.setCurrentValue(validation.validated_price, time);
+      this.market.trendPercent = ((this.market.currentValue - oldValue) / oldValue) * 100;
+    }
+    const charge = this.capacitor.accumulateCharge(Math.min(Math.max(activity / 1000, 0), 1), time);
+
+    const broadcasts = this.notifyMarketChange(time);
+
+    const changeFraction = (this.market.currentValue - oldValue) / oldValue;
+    const cascade = this.broadcaster.cascadePriceUpdates({
+      originalPrice: oldValue,
+      newPrice: this.market.currentValue,
+      changePercent: changeFraction,
+      reason: 'economy_status'
+    });
+    this.syncCascade(cascade, time);
+
+    return {
+      real_time: realTime,
+      market_change: marketChange,
+      fair_validation: validation,
+      capacitor: charge,
+      broadcasts: broadcasts.concat(this.publishCatalogChanges('economy_status', time)),
+      cascade
+    };
+  }
+
+  /**
+   * Merge price records a peer sent back over a bidirectional bond
+   */
+  receiveHydrogenSync(message, time = this.clock.now()) {
+    return this.runCommand({ command: 'receiveHydrogenSync', message }, time, () => this.hydrogen.receiveSync(message, time));
+  }
+
+  /**
+   * Price record conflicts kept for review ({ key, unreviewed })
+   */
+  getPriceConflicts(options = {}) {
+    return this.hydrogen.records.getConflicts(options);
+  }
+
+  /**
+   * Mark a price record conflict as reviewed
+   */
+  reviewPriceConflict(conflictId, note = null, time = this.clock.now()) {
+    return this.runCommand({ command: 'reviewPriceConflict', conflict_id: conflictId, note }, time, () =>
+      this.hydrogen.records.reviewConflict(conflictId, note)
+    );
+  }
+
+  /**
+   * Bring a broken hydrogen bond back into service
+   */
+  reconnectBond(bondId, reason = 'manual', time = this.clock.now()) {
+    return this.runCommand({ command: 'reconnectBond', bond_id: bondId, reason }, time, () =>
+      this.hydrogen.reconnectBond(bondId, reason)
+    );
+  }
+
+  /**
+   * Quote an ALC/USD swap against the liquidity pool (amm mode)
+   */
+  quoteSwap(request) {
+    const { side, amount, slippage_percent: slippagePercent } = request;
+    return this.market.quoteSwap(side, amount, { slippagePercent });
+  }
+
+  /**
+   * Execute an ALC/USD swap and publish the new pool price (amm mode)
+   */
+  executeSwap(request, time = this.clock.now()) {
+    return this.runCommand({ command: 'executeSwap', request }, time, () => this.applySwap(request, time));
+  }
+
+  /**
+   * Swap against the pool, then broadcast and cascade the price move
+   */
+  applySwap(request, time) {
+    const { side, amount, min_amount_out: minAmountOut, slippage_percent: slippagePercent, user } = request;
+    const result = this.market.swap(side, amount, { minAmountOut, slippagePercent, user, time });
+
+    if (!result.swapped) {
+      return result;
+    }
+
+    const broadcasts = this.notifyMarketChange(time);
+
+    const cascade = this.broadcaster.cascadePriceUpdates({
+      originalPrice: result.old_value,
+      newPrice: result.new_value,
+      changePercent: (result.new_value - result.old_value) / result.old_value,
+      reason: 'amm_swap'
+    });
+    this.syncCascade(cascade, time);
+
+    return {
+      ...result,
+      broadcasts: broadcasts.concat(this.publishCatalogChanges('amm_swap', time)),
+      cascade
+    };
+  }
+
+  /**
+   * fx_rates: update fiat rates and republish prices in every display currency
+   */
+  applyFiatRates(rateData, time = this.clock.now()) {
+    const rates = this.market.currency.updateRates(rateData.rates, 'signal', rateData.updated || null, time);
+
+    if (!rates.loaded) {
+      return rates;
+    }
+
+    return {
+      rates,
+      broadcasts: this.notifyMarketChange(time).concat(this.notifyCatalogChange([], time))
+    };
+  }
+
+  /**
+   * Add ALC/USD liquidity to the pool (amm mode)
+   */
+  addLiquidity(provider, alcAmount, usdAmount, time = this.clock.now()) {
+    return this.runCommand({ command: 'addLiquidity', provider, alc_amount: alcAmount, usd_amount: usdAmount }, time, () =>
+      this.market.addLiquidity(provider, alcAmount, usdAmount, time)
+    );
+  }
+
+  /**
+   * Burn a provider's pool shares for the matching ALC and USD (amm mode)
+   */
+  removeLiquidity(provider, shares, time = this.clock.now()) {
+    return this.runCommand({ command: 'removeLiquidity', provider, shares }, time, () =>
+      this.market.removeLiquidity(provider, shares, time)
+    );
+  }
+
+  /**
+   * Credit a wallet with the ALC earned for an activity
+   */
+  creditEarnings(user, activity, time = this.clock.now()) {
+    return this.runCommand({ command: 'creditEarnings', user, activity }, time, () =>
+      this.ledger.creditEarnings(user, activity, time)
+    );
+  }
+
+  /**
+   * Debit a wallet for an item ({ quantity, promoCodes })
+   */
+  debitPurchase(user, item, options = {}, time = this.clock.now()) {
+    return this.runCommand({ command: 'debitPurchase', user, item, options }, time, () =>
+      this.ledger.debitPurchase(user, item, { ...options, time })
+    );
+  }
+
+  /**
+   * Run a base ALC price through the capacitor and fair pricing bounds
+   */
+  priceThroughEngine(basePrice, time = this.clock.now()) {
+    const capacitorPrice = this.capacitor.applyCapacitorPricing(basePrice, time);
+    const adjusted = capacitorPrice.adjusted_price;
+    const bounded = Math.min(Math.max(adjusted, this.fairPricing.priceFloor), this.fairPricing.priceCeiling);
+    const marketCheck = this.fairPricing.ensureFairMarket(bounded, { averagePrice: basePrice });
+
+    const fairPriceMicro = this.units.toMicro(marketCheck.adjusted_price || marketCheck.price);
+
+    return {
+      capacitor_pricing: capacitorPrice,
+      market_check: marketCheck,
+      fair_price: this.units.fromMicro(fairPriceMicro),
+      fair_price_micro: fairPriceMicro
+    };
+  }
+
+  /**
+   * Current capacitor-adjusted prices for every spend item
+   */
+  getCatalogPrices(time = this.clock.now()) {
+    const prices = {};
+
+    Object.entries(this.market.config.spend_costs).forEach(([item, cost]) => {
+      prices[item] = this.capacitor.applyCapacitorPricing(cost, time).adjusted_price;
+    });
+
+    return prices;
+  }
+
+  /**
+   * Full index-designer catalog: spend items at capacitor prices plus priced art and tokens
+   */
+  getIndexCatalog(time = this.clock.now()) {
+    const prices = { ...this.getCatalogPrices(time), ...this.indexItems };
+    const catalog = {};
+
+    Object.entries(prices).forEach(([item, price]) => {
+      const priceMicro = this.units.toMicro(price);
+      catalog[item] = {
+        alc_price: price,
+        usd_estimate: this.units.toUSD(priceMicro, this.market.currentValue),
+        fiat_estimates: this.market.currency.convertToMany(priceMicro)
+      };
+    });
+
+    return catalog;
+  }
+
+  /**
+   * Index-designer applied a catalog version
+   */
+  acknowledgeCatalog(version, target = 'index-designer', time = this.clock.now()) {
+    return this.runCommand({ command: 'acknowledgeCatalog', version, target }, time, () =>
+      this.broadcaster.acknowledgeCatalog(target, version)
+    );
+  }
+
+  /**
+   * Index-designer missed a catalog version: resend the catalog in full
+   */
+  reportCatalogGap(haveVersion = null, target = 'index-designer', time = this.clock.now()) {
+    return this.runCommand({ command: 'reportCatalogGap', have_version: haveVersion, target }, time, () =>
+      this.broadcastAndSync(target, () => this.broadcaster.reportCatalogGap(target, haveVersion), time)
+    );
+  }
+
+  /**
+   * Catalog prices in every display currency
+   */
+  getCatalogFiatPrices(catalog) {
+    const fiatPrices = {};
+
+    Object.entries(catalog).forEach(([item, price]) => {
+      fiatPrices[item] = this.market.currency.convertToMany(this.units.toMicro(price));
+    });
+
+    return fiatPrices;
+  }
+
+  /**
+   * Broadcast repriced items to commerce if any price changed
+   */
+  publishCatalogChanges(reason, time = this.clock.now()) {
+    const catalog = this.getCatalogPrices(time);
+    const changed = Object.keys(catalog).filter(item => catalog[item] !== this.lastCatalog[item]);
+    const indexBroadcasts = this.notifyCatalogChange(changed, time);
+
+    if (changed.length === 0) {
+      return indexBroadcasts;
+    }
+
+    this.lastCatalog = catalog;
+
+    // Versioned records for peers on bidirectional bonds
+    this.hydrogen.records.update('alc', { alc_value: this.market.currentValue }, time);
+    changed.forEach(item => {
+      this.hydrogen.records.update(`catalog:${item}`, { price_alc: catalog[item] }, time);
+    });
+
+    return [
+      this.broadcastAndSync('commerce', () =>
+        this.broadcaster.broadcastToCommerce({
+          alc_value: this.market.currentValue,
+          updated_prices: catalog,
+          fiat_prices: this.getCatalogFiatPrices(catalog),
+          changed_items: changed,
+          reason
+        }), time
+      )
+    ].concat(indexBroadcasts);
+  }
+
+  /**
+   * Broadcast to a target and sync the update over its hydrogen bond
+   */
+  broadcastAndSync(target, broadcast, time = this.clock.now()) {
+    const result = this.syncBroadcast(target, broadcast(), time);
+    this.processSyncQueue(time);
+    return result;
+  }
+
+  /**
+   * Sync a sent update over its target's hydrogen bond (hydrogen_sync is a Promise
+   * when the target's transport is async); fan-out results sync each site's update.
+   * An update its transport failed to deliver is queued for retry with backoff and
+   * marked failed once it is dead-lettered (or at once when the bond is down or no
+   * one is listening); otherwise it stays pending until the target acks it, or counts
+   * as delivered at once for a registered site that does not declare the 'acks' capability.
+   */
+  syncBroadcast(target, result, time = this.clock.now()) {
+    if (result.fan_out) {
+      result.results.forEach(siteResult => this.syncBroadcast(siteResult.target, siteResult, time));
+      return result;
+    }
+
+    if (result.sent && this.bondIds.has(target)) {
+      const update = this.broadcaster.sentUpdates.find(u => u.message_id === result.message_id);
+      const settle = sync => {
+        // Only sends the transport attempted and failed are worth retrying
+        const retry = !sync.synced && sync.transport && !sync.no_subscriber
+          ? this.hydrogen.queueRetry(this.nodeName, target, update, sync.error, time)
+          : null;
+
+        if (retry && retry.queued) {
+          sync.retry = retry;
+        } else if (!sync.synced) {
+          this.broadcaster.rejectUpdate(update.message_id, `transport_failed: ${sync.error}`, time);
+        } else if (!this.sendsAcks(target)) {
+          this.broadcaster.acknowledgeUpdate(update.message_id, time);
+        }
+        return sync;
+      };
+      const sync = this.hydrogen.syncViaHydrogenBond(this.bondIds.get(target), update);
+
+      result.hydrogen_sync = typeof sync.then === 'function' ? sync.then(settle) : settle(sync);
+    }
+
+    return result;
+  }
+
+  /**
+   * Sync each target's and site's cascaded update
+   */
+  syncCascade(cascade, time = this.clock.now()) {
+    (cascade.results || []).forEach(result => this.syncBroadcast(result.target, result, time));
+    this.processSyncQueue(time);
+    return cascade;
+  }
+
+  /**
+   * Whether a target confirms updates itself (configured targets, and registered
+   * sites with the 'acks' capability)
+   */
+  sendsAcks(target) {
+    return !this.repos.sites.has(target) || this.repos.hasCapability(target, 'acks');
+  }
+
+  /**
+   * Retry the hydrogen syncs that are due and settle their updates' deliveries:
+   * delivered retries count like first-time deliveries, dead-lettered ones fail.
+   * Runs after every broadcast, so the scheduler's periodic sends keep retries moving.
+   */
+  processSyncQueue(time = this.clock.now()) {
+    return this.runCommand({ command: 'processSyncQueue' }, time, () => this.settleSyncQueue(time));
+  }
+
+  /**
+   * Run the hydrogen sync queue and settle the deliveries it finished
+   */
+  settleSyncQueue(time) {
+    const settle = processed => {
+      (processed.results || []).forEach(({ target, data, outcome, result }) => {
+        const messageId = data && data.message_id;
+        if (!messageId || !this.broadcaster.getDelivery(messageId)) {
+          return;
+        }
+
+        if (outcome === 'delivered' && !this.sendsAcks(target)) {
+          this.broadcaster.acknowledgeUpdate(messageId, time);
+        } else if (outcome === 'dead_lettered') {
+          this.broadcaster.rejectUpdate(messageId, `transport_failed: ${result ? result.error : 'bond_dead'}`, time);
+        }
+      });
+      return processed;
+    };
+    const processed = this.hydrogen.processSyncQueue(time);
+
+    return typeof processed.then === 'function' ? processed.then(settle) : settle(processed);
+  }
+
+  /**
+   * A target site's ack or nack for an update: { message_id, status: 'ack' | 'nack', reason, have_version }.
+   * Acked catalogs become the base for later patches; a version_gap nack resends the catalog in full.
+   */
+  receiveDeliveryAck(ack, time = this.clock.now()) {
+    return this.runCommand({ command: 'receiveDeliveryAck', ack }, time, () => this.settleDelivery(ack, time));
+  }
+
+  /**
+   * Apply an ack or nack to its update's delivery
+   */
+  settleDelivery(ack, time) {
+    const { message_id: messageId, status, reason = 'rejected', have_version: haveVersion = null } = ack;
+    const delivery = this.broadcaster.getDelivery(messageId);
+
+    if (!delivery) {
+      return { accepted: false, error: `Unknown message: ${messageId}` };
+    }
+    if (!['ack', 'nack'].includes(status)) {
+      return { accepted: false, error: `Unknown ack status: ${status}`, statuses: ['ack', 'nack'] };
+    }
+
+    if (status === 'ack') {
+      const acked = this.broadcaster.acknowledgeUpdate(messageId, time);
+      const catalog = acked.acknowledged && delivery.catalog_version !== null
+        ? this.broadcaster.acknowledgeCatalog(delivery.target, delivery.catalog_version)
+        : null;
+
+      return { accepted: acked.acknowledged, ...acked, catalog };
+    }
+
+    const rejected = this.broadcaster.rejectUpdate(messageId, reason, time);
+    const resync = rejected.rejected && reason === 'version_gap' && delivery.catalog_version !== null
+      ? this.reportCatalogGap(haveVersion, delivery.target, time)
+      : null;
+
+    return { accepted: rejected.rejected, ...rejected, resync };
+  }
+
+  /**
+   * Normalize a purchase total (ALC) to a 0-1 discharge size
+   */
+  normalizePurchaseSize(totalAlc) {
+    const largestItem = Math.max(...Object.values(this.market.config.spend_costs));
+    return Math.min(Math.max(totalAlc / largestItem, 0), 1);
+  }
+
+  /**
+   * Market data payload for dash-hub
+   */
+  getMarketData(time = this.clock.now()) {
+    const summary = this.market.getMarketSummary(undefined, time);
+
+    return {
+      current_value: summary.current_value,
+      fiat_values: summary.current_value_fiat,
+      daily_volume: summary.daily_volume,
+      trend: summary.trend,
+      trend_percent: summary.trend_percent,
+      capacitor_charge: this.units.roundTo(this.capacitor.chargeAt(time), 3),
+      fairness_score: this.units.roundTo(this.fairPricing.fairnessScore, 2)
+    };
+  }
+
+  /**
+   * ALC/USD OHLC candles for charting ({ interval, from, to, fill })
+   */
+  getPriceChart(options = {}) {
+    return this.market.getPriceChart(options);
+  }
+
+  /**
+   * Capture a versioned snapshot of all engine state
+   */
+  createSnapshot(time = this.clock.now()) {
+    return this.snapshots.capture(this, time);
+  }
+
+  /**
+   * Restore all engine state from a snapshot (migrating older versions)
+   */
+  restoreSnapshot(snapshot, time = this.clock.now()) {
+    const restored = this.atTime(time, () => this.snapshots.restore(this, snapshot));
+
+    if (restored.restored) {
+      this.logEvent('snapshot_restored', this.createSnapshot(time), time);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Rebuild engine state from an event log, up to a time or sequence number.
+   * Resolves with a fresh engine; the live engine is not touched. Each entry runs
+   * with the engine clock held at its logged time, transports are replaced by the
+   * logged sync outcomes, and scheduler timers fire only where the log says they did.
+   */
+  async replayEvents(options = {}, eventLog = this.eventLog) {
+    if (!eventLog) {
+      return { error: 'No event log to replay' };
+    }
+
+    const { until = Infinity, untilSeq = Infinity } = options;
+    const replay = eventLog.getReplayEntries({ until, untilSeq });
+
+    if (replay.error) {
+      return replay;
+    }
+
+    const { rawPricingConfig, rawWiringConfig, tokenData, options: engineOptions } = this.constructorArgs;
+    const engine = new PricingEngine(rawPricingConfig, rawWiringConfig, tokenData, {
+      ...engineOptions,
+      eventLog: null,
+      transports: null,
+      siteTransports: false,
+      schedulerClock: { now: () => replay.base.time, setTimeout: () => null, clearTimeout: () => {} }
+    });
+    engine.restoreSnapshot(replay.base.data, replay.base.time);
+
+    const outcomes = {};
+    replay.events.filter(e => e.type === 'sync_result').forEach(e => {
+      outcomes[e.data.send_seq] = e.data;
+    });
+    engine.hydrogen.replayOutcomes(outcomes);
+
+    // One input at a time, in sequence order, waiting for async handlers
+    const inputs = replay.events.filter(e => e.type !== 'sync_result');
+    for (const event of inputs) {
+      await engine.replayEvent(event);
+    }
+
+    engine.hydrogen.replayOutcomes(null);
+    const last = inputs.length > 0 ? inputs[inputs.length - 1] : replay.base;
+
+    return {
+      engine,
+      replayed: inputs.length,
+      base_seq: replay.base.seq,
+      last_seq: last.seq,
+      last_time: last.time,
+      torn_line: replay.torn_line
+    };
+  }
+
+  /**
+   * Apply one logged signal, restore or command at its logged time
+   */
+  replayEvent(event) {
+    const { type, time, data } = event;
+
+    if (type === 'signal_received') {
+      return this.handleSignal(data, time);
+    }
+    if (type === 'snapshot_restored') {
+      return this.restoreSnapshot(data, time);
+    }
+
+    switch (data.command) {
+      case 'issueQuote':
+        return this.issueQuote(data.request, time, data.quote_id);
+      case 'executeSwap':
+        return this.executeSwap(data.request, time);
+      case 'receiveHydrogenSync':
+        return this.receiveHydrogenSync(data.message, time);
+      case 'registerSite':
+        return this.registerSite(data.site, time);
+      case 'unregisterSite':
+        return this.unregisterSite(data.name, time);
+      case 'negotiateSchemas':
+        return this.negotiateSchemas(data.site, data.supported, time);
+      case 'receiveDeliveryAck':
+        return this.receiveDeliveryAck(data.ack, time);
+      case 'acknowledgeCatalog':
+        return this.acknowledgeCatalog(data.version, data.target, time);
+      case 'reportCatalogGap':
+        return this.reportCatalogGap(data.have_version, data.target, time);
+      case 'processSyncQueue':
+        return this.processSyncQueue(time);
+      case 'reviewPriceConflict':
+        return this.reviewPriceConflict(data.conflict_id, data.note, time);
+      case 'reconnectBond':
+        return this.reconnectBond(data.bond_id, data.reason, time);
+      case 'addLiquidity':
+        return this.addLiquidity(data.provider, data.alc_amount, data.usd_amount, time);
+      case 'removeLiquidity':
+        return this.removeLiquidity(data.provider, data.shares, time);
+      case 'creditEarnings':
+        return this.creditEarnings(data.user, data.activity, time);
+      case 'debitPurchase':
+        return this.debitPurchase(data.user, data.item, data.options, time);
+      case 'schedule':
+        return this.atTime(time, () =>
+          data.action === 'timer' ? this.scheduler.runTimer(data.target) : this.scheduler[data.action](data.target)
+        );
+      default:
+        return { replayed: false, error: `Unknown command: ${data.command}` };
+    }
+  }
+
+  /**
+   * Get full engine status
+   */
+  getEngineStatus() {
+    return {
+      machine_identity: this.identity,
+      alc_market: this.market.getMarketSummary(),
+      capacitor: this.capacitor.getCapacitorState(),
+      fairness: this.fairPricing.getFairnessMetrics(),
+      catalog: this.lastCatalog,
+      receiver: this.receiver.getWiringStatus(),
+      broadcaster: this.broadcaster.getBroadcastStatus(),
+      hydrogen: this.hydrogen.getHydrogenStatus(),
+      scheduler: this.scheduler.getScheduleStatus(),
+      repos: this.repos.getRegistryStatus(),
+      contracts: this.contracts.getContractsStatus(),
+      signal_auth: this.signalAuth.getAuthStatus(),
+      event_log: this.eventLog ? this.eventLog.getLogStatus() : null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PricingEngine;
+}
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ApiServer = require('../engine/api-server');
+const { createEngine, purchase } = require('./engine-fixture');
+
+test('/signals is disabled unless the engine verifies signatures or unsigned ones are allowed', async () => {
+  const engine = createEngine();
+  const signal = purchase({ item: 'premium_theme' });
+
+  const disabled = await new ApiServer(engine).route({ method: 'POST', path: '/signals', body: signal });
+  assert.strictEqual(disabled.status, 403);
+
+  const allowed = await new ApiServer(engine, { allowUnsignedSignals: true }).route({ method: 'POST', path: '/signals', body: signal });
+  assert.strictEqual(allowed.status, 200);
+  assert.strictEqual(allowed.body.engine_applied, true);
+});
+
+test('POST /quotes rejects a malformed body with 400', async () => {
+  const api = new ApiServer(createEngine());
+
+  for (const body of [{ params: null }, { params: [] }, { kind: 3 }, { user: 7 }, { quantity: 0 }]) {
+    const response = await api.route({ method: 'POST', path: '/quotes', body });
+    assert.strictEqual(response.status, 400, JSON.stringify(body));
+  }
+
+  const quote = await api.route({ method: 'POST', path: '/quotes', body: { params: { item: 'unlock_lab' } } });
+  assert.strictEqual(quote.status, 201);
+});
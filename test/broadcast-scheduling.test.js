@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, manualClock } = require('./engine-fixture');
+
+function economyStatus(demand, timestamp) {
+  return { source: 'dash-hub', event: 'economy_status', data: { supply: 100, demand, activity: 50 }, timestamp };
+}
+
+test('market moves reach dash-hub through the scheduler', () => {
+  const clock = manualClock(Date.now());
+  const engine = createEngine({ schedulerClock: clock });
+  const sentToDashHub = () => engine.broadcaster.sentUpdates.filter(u => u.target === 'dash-hub').length;
+  engine.scheduler.start('dash-hub');
+
+  const first = engine.handleSignal(economyStatus(120, clock.now()));
+  engine.handleSignal(economyStatus(130, clock.now()));
+
+  assert.strictEqual(first.engine_result.broadcasts[0].scheduled, true);
+  assert.strictEqual(sentToDashHub(), 0);
+
+  clock.advance(engine.scheduler.debounceMs);
+
+  assert.strictEqual(sentToDashHub(), 1);
+  assert.strictEqual(engine.scheduler.getScheduleStatus().targets['dash-hub'].dispatches, 1);
+});
+
+test('with the scheduler stopped, market moves are sent at once', () => {
+  const engine = createEngine();
+
+  const result = engine.handleSignal(economyStatus(120, Date.now()));
+
+  assert.strictEqual(result.engine_result.broadcasts[0].sent, true);
+  assert.strictEqual(result.engine_result.broadcasts[0].target, 'dash-hub');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CapacitorModel = require('../calculator/capacitor-model');
+
+const TAU = 60 * 60 * 1000;
+
+function rcCapacitor(start) {
+  const capacitor = new CapacitorModel({ pricing_model: { mode: 'rc', time_constant_ms: TAU } });
+  capacitor.importState({ charge: 0.5, last_updated: start });
+  return capacitor;
+}
+
+test('RC decay over 2τ in one update matches two updates of τ', () => {
+  const once = rcCapacitor(0);
+  const twice = rcCapacitor(0);
+  once.importState({ charge: 0.9, last_updated: 0 });
+  twice.importState({ charge: 0.9, last_updated: 0 });
+
+  once.settle(2 * TAU);
+  twice.settle(TAU);
+  twice.settle(2 * TAU);
+
+  assert.ok(Math.abs(once.charge - twice.charge) < 1e-12);
+});
+
+test('RC purchase after a price query matches a purchase with no query before it', () => {
+  const queried = rcCapacitor(0);
+  const quiet = rcCapacitor(0);
+
+  queried.applyCapacitorPricing(10, TAU - 1000);
+  queried.dischargeOnPurchase(0.6, TAU);
+  quiet.dischargeOnPurchase(0.6, TAU);
+
+  assert.ok(Math.abs(queried.charge - quiet.charge) < 1e-12);
+  assert.ok(Math.abs(quiet.charge - 0.44) < 1e-12);
+});
+
+test('RC purchases in the same millisecond each discharge in full', () => {
+  const capacitor = rcCapacitor(0);
+
+  capacitor.dischargeOnPurchase(0.6, TAU);
+  capacitor.dischargeOnPurchase(0.6, TAU);
+  capacitor.dischargeOnPurchase(0.6, TAU);
+
+  assert.ok(Math.abs(capacitor.charge - (0.5 - 3 * 0.06)) < 1e-12);
+});
+
+test('RC activity is added at its time and then decays toward the target', () => {
+  const capacitor = rcCapacitor(0);
+
+  const result = capacitor.accumulateCharge(1, TAU);
+
+  assert.ok(Math.abs(capacitor.charge - 0.55) < 1e-12);
+  assert.strictEqual(result.charge_increase, 0.05);
+  assert.ok(Math.abs(capacitor.chargeAt(2 * TAU) - (0.5 + 0.05 * Math.exp(-1))) < 1e-12);
+});
+
+test('RC charge decays toward the target between updates', () => {
+  const capacitor = rcCapacitor(0);
+  capacitor.importState({ charge: 0.9, last_updated: 0 });
+
+  assert.ok(Math.abs(capacitor.chargeAt(TAU) - (0.5 + 0.4 * Math.exp(-1))) < 1e-12);
+  assert.strictEqual(capacitor.getCapacitorState(TAU).charge_level, capacitor.units.roundTo(0.5 + 0.4 * Math.exp(-1), 3));
+});
+
+test('step mode still moves charge per call', () => {
+  const capacitor = new CapacitorModel({});
+
+  capacitor.accumulateCharge(1);
+  assert.ok(Math.abs(capacitor.charge - 0.55) < 1e-12);
+
+  capacitor.dischargeOnPurchase(1);
+  assert.ok(Math.abs(capacitor.charge - 0.45) < 1e-12);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('./engine-fixture');
+
+test('rate entries that are not objects are validation errors', () => {
+  const engine = createEngine();
+
+  const result = engine.market.currency.loadRates({ rates: { EUR: null, GBP: 'high' } });
+
+  assert.strictEqual(result.loaded, false);
+  assert.deepStrictEqual(result.errors, [
+    'EUR: rate must be an object with per_usd and minor_units',
+    'GBP: rate must be an object with per_usd and minor_units'
+  ]);
+});
+
+test('fx_rates signals with a null rate are refused', () => {
+  const engine = createEngine();
+
+  const result = engine.handleSignal({ source: 'dash-hub', event: 'fx_rates', data: { rates: { EUR: null } } });
+
+  assert.strictEqual(result.engine_applied, false);
+  assert.match(result.error, /Invalid rate table/);
+});
+
+test('rate tables without an update time are stamped with the caller time', () => {
+  const engine = createEngine();
+  const time = Date.UTC(2026, 0, 2);
+
+  const result = engine.market.currency.updateRates({ EUR: 0.9 }, 'signal', null, time);
+
+  assert.strictEqual(result.updated, '2026-01-02T00:00:00.000Z');
+  assert.strictEqual(engine.market.currency.ratesUpdated, '2026-01-02T00:00:00.000Z');
+});
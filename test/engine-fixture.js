@@ -0,0 +1,59 @@
+/**
+ * Shared setup for engine tests: the shipped .infinity configs and a PricingEngine built from them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PricingEngine = require('../engine/pricing-engine');
+
+const root = path.join(__dirname, '..');
+const readJson = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+
+function loadConfigs() {
+  const wiringConfig = readJson('.infinity/wiring-config.json');
+  // Tests send unsigned signals unless they opt in to signatures
+  wiringConfig.wiring_configuration.signal_auth.required = false;
+
+  return {
+    pricingConfig: readJson('.infinity/alc-pricing.json'),
+    wiringConfig,
+    tokenData: readJson('token.json')
+  };
+}
+
+function createEngine(options = {}) {
+  const { pricingConfig, wiringConfig, tokenData } = loadConfigs();
+  return new PricingEngine(pricingConfig, wiringConfig, tokenData, options);
+}
+
+// A clock for schedulerClock that only moves when advanced, firing timers that fall due
+function manualClock(start) {
+  const timers = [];
+  const clock = {
+    time: start,
+    now: () => clock.time,
+    setTimeout: (fn, ms) => {
+      const timer = { fn, at: clock.time + ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: timer => {
+      const index = timers.indexOf(timer);
+      if (index !== -1) timers.splice(index, 1);
+    },
+    advance: ms => {
+      clock.time += ms;
+      timers.filter(t => t.at <= clock.time).forEach(t => {
+        clock.clearTimeout(t);
+        t.fn();
+      });
+    }
+  };
+  return clock;
+}
+
+function purchase(data, timestamp = Date.now()) {
+  return { source: 'commerce', event: 'purchase_made', data, timestamp };
+}
+
+module.exports = { loadConfigs, createEngine, manualClock, purchase, readJson };
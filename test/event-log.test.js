@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventLog = require('../engine/event-log');
+const PricingEngine = require('../engine/pricing-engine');
+const { loadConfigs, createEngine, manualClock, purchase } = require('./engine-fixture');
+
+function tempLogPath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'event-log-')), 'events.jsonl');
+}
+
+test('a torn final line is skipped and reported', () => {
+  const text = '{"seq":1,"type":"command","time":1,"data":{}}\n{"seq":2,"type":"comm';
+
+  const { entries, torn_line: tornLine } = EventLog.parseLines(text);
+
+  assert.deepStrictEqual(entries.map(e => e.seq), [1]);
+  assert.deepStrictEqual(tornLine, {
+    line: 2,
+    offset: text.indexOf('\n') + 1,
+    text: '{"seq":2,"type":"comm',
+    error: tornLine.error
+  });
+});
+
+test('an unreadable line before the last still throws', () => {
+  const text = '{"seq":1,"type":"command","time":1,"data":{}}\nnot json\n{"seq":2,"type":"command","time":2,"data":{}}\n';
+
+  assert.throws(() => EventLog.parse(text), /line 2 is not valid JSON/);
+});
+
+test('a log with a torn tail replays and keeps appending', async () => {
+  const logPath = tempLogPath();
+  const engine = createEngine({ eventLog: new EventLog({ path: logPath }) });
+  engine.handleSignal(purchase({ item: 'premium_theme' }, 1000));
+  fs.appendFileSync(logPath, '{"seq":99,"type":"signal_rec');
+
+  const onDisk = fs.readFileSync(logPath, 'utf8');
+  const reopened = new EventLog({ path: logPath });
+  const replay = await engine.replayEvents({}, reopened);
+
+  assert.ok(replay.engine);
+  assert.strictEqual(replay.replayed, 1);
+  assert.strictEqual(replay.torn_line.text, '{"seq":99,"type":"signal_rec');
+  assert.strictEqual(reopened.getLogStatus().torn_line.text, '{"seq":99,"type":"signal_rec');
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8'), onDisk, 'reads leave the file as it is');
+
+  const lastSeq = reopened.getLogStatus().last_seq;
+  const appended = reopened.append('command', { command: 'noop' }, 2000);
+  assert.strictEqual(appended.seq, lastSeq + 1);
+  assert.strictEqual(EventLog.parse(fs.readFileSync(logPath, 'utf8')).length, appended.seq);
+  assert.strictEqual(reopened.getLogStatus().torn_line, null);
+
+  fs.rmSync(path.dirname(logPath), { recursive: true, force: true });
+});
+
+test('repair cuts a torn tail off the file', () => {
+  const logPath = tempLogPath();
+  const log = new EventLog({ path: logPath });
+  log.append('command', { command: 'noop' }, 1000);
+  const intact = fs.readFileSync(logPath, 'utf8');
+  fs.appendFileSync(logPath, '{"seq":2,"ty');
+
+  const result = new EventLog({ path: logPath }).repair();
+
+  assert.strictEqual(result.repaired, true);
+  assert.strictEqual(result.torn_line.offset, Buffer.byteLength(intact));
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8'), intact);
+  assert.strictEqual(new EventLog({ path: logPath }).repair().repaired, false);
+
+  fs.rmSync(path.dirname(logPath), { recursive: true, force: true });
+});
+
+test('replaying the log rebuilds the state of the live engine', async () => {
+  const { pricingConfig, wiringConfig, tokenData } = loadConfigs();
+  pricingConfig.market_maker.mode = 'amm';
+  const clock = manualClock(1700000000000);
+  let dashHubSends = 0;
+  const engine = new PricingEngine(pricingConfig, wiringConfig, tokenData, {
+    eventLog: new EventLog(),
+    schedulerClock: clock,
+    transports: {
+      commerce: { name: 'up', send: () => ({ delivered: true }) },
+      'index-designer': { name: 'up', send: () => ({ delivered: true }) },
+      'dash-hub': { name: 'flaky', send: () => (++dashHubSends % 2 ? { delivered: false, error: 'ECONNRESET' } : { delivered: true }) }
+    }
+  });
+
+  engine.scheduler.start();
+  engine.creditEarnings('alice', 'build_feature');
+  engine.creditEarnings('alice', 'build_feature');
+  engine.handleSignal(purchase({ item: 'premium_theme', quantity: 2 }, clock.now()));
+  clock.advance(1500);
+
+  const catalog = engine.broadcaster.sentUpdates.find(u => u.target === 'index-designer');
+  assert.strictEqual(engine.receiveDeliveryAck({ message_id: catalog.message_id, status: 'ack' }).accepted, true);
+  engine.reportCatalogGap(0);
+
+  engine.addLiquidity('bob', 1000, 600);
+  assert.strictEqual(engine.executeSwap({ side: 'buy_alc', amount: 50, user: 'bob' }).swapped, true);
+  assert.strictEqual(engine.debitPurchase('alice', 'custom_art').debited, true);
+  engine.handleSignal({ source: 'dash-hub', event: 'economy_status', data: { supply: 100, demand: 140, activity: 300 }, timestamp: clock.now() });
+  clock.advance(5 * 60 * 1000);
+  engine.processSyncQueue();
+  engine.issueQuote({ kind: 'item', params: { item: 'custom_art' } });
+  clock.advance(1000);
+
+  assert.ok(engine.hydrogen.getHydrogenStatus().failed_syncs > 0);
+  assert.ok(engine.scheduler.getScheduleStatus().targets['dash-hub'].dispatches > 0);
+
+  const replay = await engine.replayEvents();
+  assert.deepStrictEqual(replay.engine.createSnapshot(clock.now()).state, engine.createSnapshot(clock.now()).state);
+});
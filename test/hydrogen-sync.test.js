@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, manualClock } = require('./engine-fixture');
+
+function sendMarketData(engine, times) {
+  for (let i = 0; i < times; i++) {
+    engine.broadcastAndSync('dash-hub', () => engine.broadcaster.broadcastToDashHub(engine.getMarketData()));
+  }
+}
+
+test('broadcasts with no local subscriber leave default bonds usable', () => {
+  const engine = createEngine();
+  const bondId = engine.bondIds.get('dash-hub');
+
+  sendMarketData(engine, 15);
+
+  const bond = engine.hydrogen.hydrogenBonds.find(b => b.id === bondId);
+  assert.strictEqual(bond.active, true);
+  assert.strictEqual(bond.consecutiveFailures, 0);
+  assert.strictEqual(engine.hydrogen.getActiveBonds().dead_bonds.length, 0);
+
+  const received = [];
+  engine.hydrogen.localBus.subscribe('dash-hub', message => received.push(message));
+  sendMarketData(engine, 1);
+
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(bond.syncCount, 1);
+});
+
+test('real transport failures still break the bond, and reconnectBond restores it', () => {
+  const engine = createEngine();
+  const bondId = engine.bondIds.get('dash-hub');
+  engine.hydrogen.registerTransport('dash-hub', { name: 'down', send: () => ({ delivered: false, error: 'ECONNREFUSED' }) });
+
+  sendMarketData(engine, engine.hydrogen.breakAfterFailures);
+  assert.deepStrictEqual(engine.hydrogen.getActiveBonds().dead_bonds.map(b => b.id), [bondId]);
+
+  engine.hydrogen.registerTransport('dash-hub', { name: 'up', send: () => ({ delivered: true }) });
+  const reconnected = engine.hydrogen.reconnectBond(bondId);
+
+  assert.strictEqual(reconnected.bond_reconnected, true);
+  assert.strictEqual(reconnected.was_broken_for, 'dead');
+  assert.strictEqual(engine.hydrogen.syncViaHydrogenBond(bondId, { ping: true }).synced, true);
+});
+
+test('a message from a peer revives its dead bidirectional bond', () => {
+  const engine = createEngine();
+  const bondId = engine.bondIds.get('commerce');
+  engine.hydrogen.breakBond(bondId, 'dead');
+
+  const received = engine.hydrogen.receiveSync({ from: 'commerce', records: [] });
+
+  assert.strictEqual(received.received, true);
+  assert.strictEqual(received.bond_id, bondId);
+  assert.strictEqual(engine.hydrogen.hydrogenBonds.find(b => b.id === bondId).active, true);
+
+  engine.hydrogen.breakBond(bondId, 'manual');
+  assert.strictEqual(engine.hydrogen.receiveSync({ from: 'commerce', records: [] }).received, false);
+});
+
+test('failed broadcast syncs are retried from the engine on its clock', () => {
+  const clock = manualClock(Date.now());
+  const engine = createEngine({ schedulerClock: clock });
+  let up = false;
+  engine.hydrogen.registerTransport('dash-hub', { name: 'flaky', send: () => (up ? { delivered: true } : { delivered: false, error: 'ECONNRESET' }) });
+
+  const first = engine.broadcastAndSync('dash-hub', () => engine.broadcaster.broadcastToDashHub(engine.getMarketData()));
+
+  assert.strictEqual(first.hydrogen_sync.synced, false);
+  assert.strictEqual(first.hydrogen_sync.retry.queued, true);
+  assert.strictEqual(engine.hydrogen.syncQueue.length, 1);
+  assert.strictEqual(engine.broadcaster.getDelivery(first.message_id).state, 'pending');
+
+  up = true;
+  clock.time += engine.hydrogen.maxDelayMs;
+  const retried = engine.processSyncQueue();
+
+  assert.strictEqual(retried.synced, 1);
+  assert.strictEqual(retried.results[0].data.message_id, first.message_id);
+  assert.strictEqual(engine.hydrogen.syncQueue.length, 0);
+});
+
+test('syncs that run out of attempts are dead-lettered and their deliveries fail', () => {
+  const clock = manualClock(Date.now());
+  const engine = createEngine({ schedulerClock: clock });
+  engine.hydrogen.registerTransport('dash-hub', { name: 'down', send: () => ({ delivered: false, error: 'ECONNREFUSED' }) });
+
+  const first = engine.broadcastAndSync('dash-hub', () => engine.broadcaster.broadcastToDashHub(engine.getMarketData()));
+  const maxAttempts = engine.hydrogen.getMaxAttempts('strong');
+
+  for (let attempt = 2; attempt <= maxAttempts; attempt++) {
+    clock.time += engine.hydrogen.maxDelayMs * 2;
+    engine.processSyncQueue();
+  }
+
+  assert.strictEqual(engine.hydrogen.syncQueue.length, 0);
+  assert.strictEqual(engine.hydrogen.getDeadLetters('dash-hub').total, 1);
+  assert.deepStrictEqual(
+    [engine.broadcaster.getDelivery(first.message_id).state, engine.broadcaster.getDelivery(first.message_id).error],
+    ['failed', 'transport_failed: ECONNREFUSED']
+  );
+});
+
+test('a conflict reply is sent straight back to the peer with the winning record', () => {
+  const HydrogenSync = require('../wiring/hydrogen-sync');
+  const { loadConfigs } = require('./engine-fixture');
+  const engine = createEngine();
+  const commerce = new HydrogenSync(loadConfigs().wiringConfig, { nodeId: 'commerce', authority: 'pricing-engine' });
+  const toCommerce = [];
+  const toEngine = [];
+  const t = Date.now();
+  commerce.createBond('commerce', 'pricing-engine');
+  engine.hydrogen.localBus.subscribe('commerce', message => toCommerce.push(message));
+  commerce.localBus.subscribe('pricing-engine', message => toEngine.push(message));
+
+  engine.hydrogen.records.update('catalog:custom_art', { price_alc: 75 }, t);
+  engine.hydrogen.syncViaHydrogenBond(engine.bondIds.get('commerce'), {});
+  commerce.receiveSync({ ...toCommerce.pop(), from: 'pricing-engine' }, t + 1);
+
+  // Commerce writes an engine-authoritative field; the engine keeps its price and replies
+  commerce.records.update('catalog:custom_art', { price_alc: 1 }, t + 2);
+  commerce.syncViaHydrogenBond(commerce.hydrogenBonds[0].id, {});
+  const received = engine.receiveHydrogenSync(toEngine.pop(), t + 3);
+
+  assert.strictEqual(received.reply.synced, true);
+  assert.strictEqual(engine.hydrogen.syncQueue.length, 0);
+  assert.strictEqual(toCommerce.length, 1);
+  assert.deepStrictEqual(toCommerce[0].records.map(r => [r.key, r.fields.price_alc.value]), [['catalog:custom_art', 75]]);
+});
+
+test('a peer cannot win an engine-authoritative field by naming the engine as its writer', () => {
+  const HydrogenSync = require('../wiring/hydrogen-sync');
+  const { loadConfigs } = require('./engine-fixture');
+  const engine = createEngine();
+  const commerce = new HydrogenSync(loadConfigs().wiringConfig, { nodeId: 'commerce', authority: 'pricing-engine' });
+  const toCommerce = [];
+  const toEngine = [];
+  const t = Date.now();
+  commerce.createBond('commerce', 'pricing-engine');
+  engine.hydrogen.localBus.subscribe('commerce', message => toCommerce.push(message));
+  commerce.localBus.subscribe('pricing-engine', message => toEngine.push(message));
+
+  engine.hydrogen.records.update('catalog:custom_art', { price_alc: 75 }, t);
+  engine.hydrogen.syncViaHydrogenBond(engine.bondIds.get('commerce'), {});
+  commerce.receiveSync({ ...toCommerce.pop(), from: 'pricing-engine' }, t + 1);
+  assert.strictEqual(commerce.records.getRecord('catalog:custom_art').values.price_alc, 75);
+
+  // Commerce forges the writer of its price change
+  commerce.records.update('catalog:custom_art', { price_alc: 1 }, t + 2);
+  commerce.records.records.get('catalog:custom_art').fields.price_alc.updated_by = 'pricing-engine';
+  commerce.syncViaHydrogenBond(commerce.hydrogenBonds[0].id, {});
+  const received = engine.receiveHydrogenSync(toEngine.pop(), t + 3);
+
+  assert.strictEqual(engine.hydrogen.records.getRecord('catalog:custom_art').values.price_alc, 75);
+  assert.deepStrictEqual(received.conflicts.map(c => [c.field, c.reason, c.winner]), [['price_alc', 'non_authoritative_write', 'local']]);
+});
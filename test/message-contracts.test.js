@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageContracts = require('../wiring/message-contracts');
+
+test('purchase_made quantities must be positive integers in every version', () => {
+  const contracts = new MessageContracts();
+
+  [1, 2].forEach(version => {
+    const { fields } = contracts.getContract('purchase_made', version);
+    assert.deepStrictEqual(contracts.validate({ item: 'premium_theme', quantity: 2 }, fields), []);
+    assert.deepStrictEqual(contracts.validate({ item: 'premium_theme', quantity: 1.5 }, fields), ['data.quantity must be an integer']);
+    assert.deepStrictEqual(contracts.validate({ item: 'premium_theme', quantity: 0 }, fields), ['data.quantity must be at least 1']);
+  });
+});
+
+test('making an incoming field integer only is a breaking change', () => {
+  const contracts = new MessageContracts();
+  const { fields } = contracts.getContract('purchase_made', 2);
+  fields.price = { ...fields.price, integer: true };
+
+  const result = contracts.registerContract('purchase_made', 3, { direction: 'incoming', fields });
+
+  assert.strictEqual(result.compatibility.compatible, false);
+  assert.deepStrictEqual(result.compatibility.breaking, [{ field: 'price', change: 'became integer only' }]);
+});
+
+test('the receiver checks built-in events against the message contracts', () => {
+  const PriceReceiver = require('../wiring/price-receiver');
+  const { loadConfigs } = require('./engine-fixture');
+  const receiver = new PriceReceiver(loadConfigs().wiringConfig);
+  const contracts = new MessageContracts();
+  const { fields } = contracts.getContract('purchase_made', 2);
+  contracts.registerContract('purchase_made', 3, { direction: 'incoming', fields: { ...fields, sku: { type: 'string', required: true } } });
+  receiver.setContracts(contracts);
+
+  const result = receiver.processSignal({ source: 'commerce', event: 'purchase_made', data: { item: 'premium_theme' } });
+
+  assert.strictEqual(result.received, false);
+  assert.deepStrictEqual(result.validation_errors, ['data.sku is required']);
+  assert.strictEqual(receiver.processSignal({ source: 'commerce', event: 'purchase_made', data: { item: 'premium_theme', sku: 'pt-1' } }).signal_received.schema_version, 3);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('./engine-fixture');
+
+test('catalogs for unknown targets are refused', () => {
+  const engine = createEngine();
+  const sent = engine.broadcaster.sentUpdates.length;
+
+  const result = engine.broadcaster.broadcastCatalog('nowhere', { premium_theme: { alc_price: 50 } });
+
+  assert.strictEqual(result.sent, false);
+  assert.strictEqual(result.error, 'Unknown broadcast target');
+  assert.ok(result.available_targets.includes('index-designer'));
+  assert.strictEqual(engine.broadcaster.sentUpdates.length, sent);
+});
+
+test('ack timeouts follow the engine clock and survive a snapshot restore', () => {
+  const clock = { time: 1700000000000, now: () => clock.time, setTimeout: () => null, clearTimeout: () => {} };
+  const engine = createEngine({ schedulerClock: clock });
+  const timeout = engine.broadcaster.ackTimeoutMs;
+
+  const sent = engine.broadcaster.broadcastCatalog('index-designer', engine.getIndexCatalog(clock.now()));
+  assert.strictEqual(sent.message_id, 'msg-1');
+  assert.strictEqual(sent.timestamp, clock.now());
+
+  clock.time += timeout;
+  assert.strictEqual(engine.broadcaster.getBroadcastStatus().unacknowledged, 1);
+
+  // Restored an hour later, the delivery gets a fresh ack timeout
+  const snapshot = engine.createSnapshot();
+  const restored = createEngine({ schedulerClock: clock });
+  clock.time += 60 * 60 * 1000;
+  restored.restoreSnapshot(snapshot);
+  assert.strictEqual(restored.broadcaster.getBroadcastStatus().unacknowledged, 1);
+
+  // Status checks expire overdue deliveries without waiting for the next send
+  clock.time += timeout + 1;
+  const status = restored.broadcaster.getBroadcastStatus();
+  assert.strictEqual(status.unacknowledged, 0);
+  assert.strictEqual(restored.broadcaster.getDelivery('msg-1').error, 'ack_timeout');
+  assert.strictEqual(status.target_statistics['index-designer'].failed, 1);
+});
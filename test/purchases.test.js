@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine, purchase } = require('./engine-fixture');
+
+test('purchases of unknown items are refused without charging', () => {
+  const engine = createEngine();
+  const charge = engine.capacitor.charge;
+
+  const result = engine.handleSignal(purchase({ item: 'yacht', quantity: 1 }));
+
+  assert.strictEqual(result.engine_applied, false);
+  assert.match(result.error, /Unknown item type: yacht/);
+  assert.strictEqual(engine.capacitor.charge, charge);
+
+  const direct = engine.applyPurchase({ item: 'yacht', price: 10 });
+  assert.deepStrictEqual(direct, { charged: false, error: 'Unknown item type: yacht' });
+});
+
+test('purchase quantities must be positive integers', () => {
+  const engine = createEngine();
+  const charge = engine.capacitor.charge;
+
+  [0, -2, 1.5].forEach(quantity => {
+    const result = engine.handleSignal(purchase({ item: 'premium_theme', quantity }));
+    assert.notStrictEqual(result.engine_applied, true, `quantity ${quantity} should be rejected`);
+    assert.ok(result.error, `quantity ${quantity} should report an error`);
+  });
+  assert.strictEqual(engine.capacitor.charge, charge);
+
+  assert.deepStrictEqual(
+    engine.applyPurchase({ item: 'premium_theme', quantity: 0 }),
+    { charged: false, error: 'quantity must be a positive integer' }
+  );
+});
+
+test('catalog purchases without a price are charged the catalog cost', () => {
+  const engine = createEngine();
+  const cost = engine.market.config.spend_costs.premium_theme;
+
+  const result = engine.applyPurchase({ item: 'premium_theme', quantity: 1 });
+
+  assert.strictEqual(result.charged, true);
+  assert.strictEqual(result.charged_price_alc, cost);
+  assert.ok(result.capacitor.discharge_amount > 0);
+});
+
+test('a quote is redeemed only for its item, quantity and user', () => {
+  const engine = createEngine();
+  const quote = () => engine.issueQuote({ kind: 'item', params: { item: 'unlock_lab' }, quantity: 1, user: 'alice' });
+
+  const wrongItem = quote();
+  const item = engine.applyPurchase({ item: 'custom_art', quantity: 1, quote_id: wrongItem.quote_id, user: 'alice' });
+  assert.strictEqual(item.charged, false);
+  assert.match(item.error, /does not match the quoted item/);
+  assert.deepStrictEqual(item.quote.quoted, { item: 'unlock_lab', quantity: 1 });
+
+  const wrongQuantity = quote();
+  const quantity = engine.applyPurchase({ item: 'unlock_lab', quantity: 5, quote_id: wrongQuantity.quote_id, user: 'alice' });
+  assert.strictEqual(quantity.charged, false);
+  assert.match(quantity.error, /does not match the quoted item and quantity/);
+
+  const anonymous = quote();
+  const noUser = engine.applyPurchase({ item: 'unlock_lab', quantity: 1, quote_id: anonymous.quote_id });
+  assert.strictEqual(noUser.charged, false);
+  assert.match(noUser.error, /names none/);
+
+  // None of the refused purchases used the quote up
+  const redeemed = engine.applyPurchase({ item: 'unlock_lab', quantity: 1, quote_id: anonymous.quote_id, user: 'alice' });
+  assert.strictEqual(redeemed.charged, true);
+  assert.strictEqual(redeemed.charged_price_alc, anonymous.total_price_alc);
+});
+
+test('a backdated purchase signal cannot redeem an expired quote', () => {
+  const engine = createEngine();
+  const issuedAt = Date.now();
+  const quote = engine.issueQuote({ kind: 'item', params: { item: 'unlock_lab' }, user: 'alice' }, issuedAt);
+  const receivedAt = quote.expires_at + 60 * 60 * 1000;
+
+  const result = engine.handleSignal(
+    purchase({ item: 'unlock_lab', quantity: 1, quote_id: quote.quote_id, user: 'alice' }, issuedAt),
+    receivedAt
+  );
+
+  assert.strictEqual(result.engine_applied, false);
+  assert.strictEqual(result.error, 'Quote expired');
+  assert.strictEqual(engine.quotes.getQuote(quote.quote_id, receivedAt).status, 'expired');
+});
+
+test('a promo code with a per-user cap is refused when the purchase names no user', () => {
+  const engine = createEngine();
+  engine.market.promoCodes.createCode({ code: 'CAPPED', type: 'percent', value: 10 });
+
+  const anonymous = engine.applyPurchase({ item: 'premium_theme', promo_codes: ['CAPPED'] });
+  assert.strictEqual(anonymous.charged, false);
+  assert.deepStrictEqual(anonymous.promo.errors, [{ code: 'CAPPED', reason: 'user_required' }]);
+
+  const named = engine.applyPurchase({ item: 'premium_theme', promo_codes: ['CAPPED'], user: 'alice' });
+  assert.strictEqual(named.charged, true);
+
+  const again = engine.applyPurchase({ item: 'premium_theme', promo_codes: ['CAPPED'], user: 'alice' });
+  assert.deepStrictEqual(again.promo.errors, [{ code: 'CAPPED', reason: 'user_usage_cap_reached' }]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SignalAuth = require('../wiring/signal-auth');
+const { loadConfigs, readJson, purchase } = require('./engine-fixture');
+
+function requiredConfig() {
+  const { pricingConfig, wiringConfig, tokenData } = loadConfigs();
+  wiringConfig.wiring_configuration.signal_auth.required = true;
+  return { pricingConfig, wiringConfig, tokenData };
+}
+
+test('the signature covers schema_version', () => {
+  const { wiringConfig } = requiredConfig();
+  const sender = new SignalAuth(wiringConfig, { signing: { secret: 's3cret' } }, { identity: 'commerce' });
+  const receiver = new SignalAuth(wiringConfig, { sources: { commerce: { secret: 's3cret' } } });
+  const now = Date.now();
+
+  const signed = sender.sign({ ...purchase({ item: 'premium_theme' }, now), schema_version: 2 });
+
+  assert.strictEqual(receiver.verifySignal(signed, now).accepted, true);
+  assert.strictEqual(receiver.verifySignal({ ...signed, schema_version: 1, nonce: 'other' }, now).accepted, false);
+});
+
+test('an engine that requires signatures but has no source keys refuses to start', () => {
+  const { pricingConfig, wiringConfig, tokenData } = requiredConfig();
+  const PricingEngine = require('../engine/pricing-engine');
+
+  assert.throws(() => new PricingEngine(pricingConfig, wiringConfig, tokenData), /no source keys/);
+  assert.ok(new PricingEngine(pricingConfig, wiringConfig, tokenData, {
+    signalKeys: { sources: { commerce: { secret: 's3cret' } } }
+  }));
+});
+
+test('the engine rejects unsigned, replayed and out-of-window signals', () => {
+  const { pricingConfig, wiringConfig, tokenData } = loadConfigs();
+  delete wiringConfig.wiring_configuration.signal_auth.required;
+  const PricingEngine = require('../engine/pricing-engine');
+  const engine = new PricingEngine(pricingConfig, wiringConfig, tokenData, {
+    signalKeys: { sources: { commerce: { secret: 's3cret' } } }
+  });
+  const sender = new SignalAuth(wiringConfig, { signing: { secret: 's3cret' } }, { identity: 'commerce' });
+  const now = Date.now();
+  const charge = engine.capacitor.charge;
+
+  const unsigned = engine.handleSignal(purchase({ item: 'premium_theme' }, now), now);
+  assert.strictEqual(unsigned.auth.reason, 'unsigned');
+
+  const signed = sender.sign(purchase({ item: 'premium_theme' }, now));
+  assert.strictEqual(engine.handleSignal(signed, now).engine_applied, true);
+  const replayed = engine.handleSignal(signed, now + 1000);
+  assert.strictEqual(replayed.auth.reason, 'replayed_nonce');
+
+  const stale = sender.sign(purchase({ item: 'premium_theme' }, now - 10 * 60 * 1000));
+  assert.strictEqual(engine.handleSignal(stale, now).auth.reason, 'timestamp_outside_window');
+
+  [unsigned, replayed].forEach(result => assert.notStrictEqual(result.engine_applied, true));
+  assert.deepStrictEqual(engine.getEngineStatus().signal_auth.rejections, {
+    unsigned: 1,
+    replayed_nonce: 1,
+    timestamp_outside_window: 1
+  });
+  assert.ok(engine.capacitor.charge < charge);
+});
+
+test('the shipped config requires signatures', () => {
+  const wiringConfig = readJson('.infinity/wiring-config.json');
+  assert.strictEqual(new SignalAuth(wiringConfig).required, true);
+});
@@ -0,0 +1,395 @@
+/**
+ * Broadcast Scheduler Module
+ * Owns the timers behind each target's broadcast frequency: periodic pushes,
+ * debounced and coalesced change bursts, and significant-change thresholds
+ */
+
+// Periodic frequencies and their intervals
+const SCHEDULE_INTERVALS = { every_5_minutes: 5 * 60 * 1000 };
+
+class BroadcastScheduler {
+  constructor(wiringConfig, options = {}) {
+    const schedule = wiringConfig.wiring_configuration.broadcast_schedule || {};
+
+    this.debounceMs = schedule.debounce_ms ?? 1000;
+    this.maxWaitMs = schedule.max_wait_ms ?? 10000;
+    this.significantChange = schedule.significant_change ?? 0.05;
+
+    // { now, setTimeout, clearTimeout }; pass a manual clock to fast-forward in tests
+    this.clock = options.clock || {
+      now: () => Date.now(),
+      setTimeout: (fn, ms) => setTimeout(fn, ms),
+      clearTimeout: id => clearTimeout(id)
+    };
+
+    // run(action, target, perform) wraps start, stop, pause, resume and every timer
+    // firing ('timer'); the engine logs them there so a replay repeats them
+    this.run = options.run || ((action, target, perform) => perform());
+    this.controlling = false;
+
+    this.frequencies = new Map(wiringConfig.wiring_configuration.sends_updates.map(t => [t.target, t.frequency]));
+    this.targets = new Map();
+  }
+
+  /**
+   * Schedule a target: { send(payload, time), source?(time), coalesce?(pending, next) }.
+   * Periodic targets need a source; coalesce defaults to keeping the latest payload.
+   */
+  register(target, handlers) {
+    const frequency = this.frequencies.get(target);
+
+    if (!frequency) {
+      return { registered: false, error: `Unknown target: ${target}`, available_targets: Array.from(this.frequencies.keys()) };
+    }
+    if (!handlers || typeof handlers.send !== 'function') {
+      return { registered: false, error: 'Scheduled target needs a send(payload, time) function' };
+    }
+    if (SCHEDULE_INTERVALS[frequency] && typeof handlers.source !== 'function') {
+      return { registered: false, error: `${frequency} target ${target} needs a source(time) function` };
+    }
+
+    this.targets.set(target, {
+      frequency,
+      send: handlers.send,
+      source: handlers.source || null,
+      coalesce: handlers.coalesce || ((pending, next) => next),
+      state: 'stopped',
+      timer: null,
+      timerKind: null,             // 'debounce' or 'interval' while a timer is armed
+      pending: null,
+      pendingSince: null,
+      coalesced: 0,
+      accumulatedChange: 0,
+      nextRunAt: null,
+      lastDispatch: null,
+      dispatches: 0
+    });
+
+    return { registered: true, target, frequency };
+  }
+
+  /**
+   * Start scheduling one target, or every registered target
+   */
+  start(target = null) {
+    return this.control('start', target, () => this.eachTarget(target, (name, entry) => {
+      if (entry.state === 'running') {
+        return { target: name, state: entry.state };
+      }
+
+      entry.state = 'running';
+      if (entry.pending) {
+        this.armDebounce(entry, name);
+      } else if (SCHEDULE_INTERVALS[entry.frequency]) {
+        this.armInterval(entry, name);
+      }
+      return { target: name, state: entry.state };
+    }));
+  }
+
+  /**
+   * Stop scheduling: pending changes are sent now and later changes go out immediately
+   */
+  stop(target = null) {
+    return this.control('stop', target, () => this.eachTarget(target, (name, entry) => {
+      this.clearTimer(entry);
+      entry.state = 'stopped';
+      entry.nextRunAt = null;
+      const flushed = entry.pending ? this.flush(name) : null;
+      return { target: name, state: entry.state, flushed };
+    }));
+  }
+
+  /**
+   * Hold a running target's sends; changes keep coalescing until it resumes
+   */
+  pause(target) {
+    return this.control('pause', target, () => this.eachTarget(target, (name, entry) => {
+      if (entry.state !== 'running') {
+        return { target: name, state: entry.state, error: 'Only a running target can be paused' };
+      }
+
+      this.clearTimer(entry);
+      entry.state = 'paused';
+      entry.nextRunAt = null;
+      return { target: name, state: entry.state };
+    }));
+  }
+
+  /**
+   * Resume a paused target
+   */
+  resume(target) {
+    return this.control('resume', target, () => this.eachTarget(target, (name, entry) => {
+      if (entry.state !== 'paused') {
+        return { target: name, state: entry.state, error: 'Target is not paused' };
+      }
+
+      entry.state = 'stopped';
+      return this.start(name).results[0];
+    }));
+  }
+
+  /**
+   * Hand a control action to run(); actions taken inside another (resume's start,
+   * stop's flush) are part of it and are not handed over again
+   */
+  control(action, target, perform) {
+    if (this.controlling) {
+      return perform();
+    }
+
+    this.controlling = true;
+    try {
+      return this.run(action, target, perform);
+    } finally {
+      this.controlling = false;
+    }
+  }
+
+  /**
+   * Apply an action to one target or all of them
+   */
+  eachTarget(target, action) {
+    if (target !== null && !this.targets.has(target)) {
+      return { error: `Target not scheduled: ${target}`, scheduled_targets: Array.from(this.targets.keys()) };
+    }
+
+    const names = target === null ? Array.from(this.targets.keys()) : [target];
+    return { results: names.map(name => action(name, this.targets.get(name))) };
+  }
+
+  /**
+   * Report a change for a target. Running targets debounce and coalesce bursts;
+   * stopped targets send at once. On on_significant_change targets, changes
+   * accumulate until their combined move passes the threshold.
+   */
+  notifyChange(target, payload, options = {}) {
+    const entry = this.targets.get(target);
+
+    if (!entry) {
+      return { scheduled: false, error: `Target not scheduled: ${target}` };
+    }
+
+    entry.pending = entry.pending === null ? payload : entry.coalesce(entry.pending, payload);
+    entry.pendingSince = entry.pendingSince ?? this.clock.now();
+    entry.coalesced++;
+
+    if (entry.frequency === 'on_significant_change') {
+      const change = options.changePercent || 0;
+      entry.accumulatedChange = (1 + entry.accumulatedChange) * (1 + change) - 1;
+
+      if (Math.abs(entry.accumulatedChange) < this.significantChange) {
+        return {
+          scheduled: false,
+          target,
+          reason: 'below_significant_change',
+          accumulated_change: entry.accumulatedChange,
+          threshold: this.significantChange
+        };
+      }
+    }
+
+    if (entry.state === 'stopped' || entry.frequency === 'real_time') {
+      return this.flush(target);
+    }
+
+    if (entry.state === 'paused') {
+      return { scheduled: true, target, state: 'paused', coalesced: entry.coalesced };
+    }
+
+    this.armDebounce(entry, target);
+
+    return {
+      scheduled: true,
+      target,
+      send_at: entry.nextRunAt,
+      coalesced: entry.coalesced
+    };
+  }
+
+  /**
+   * Send after debounce_ms of quiet, but no later than max_wait_ms after the first change
+   */
+  armDebounce(entry, target) {
+    const now = this.clock.now();
+    const delay = Math.max(Math.min(this.debounceMs, entry.pendingSince + this.maxWaitMs - now), 0);
+
+    this.clearTimer(entry);
+    entry.nextRunAt = now + delay;
+    entry.timerKind = 'debounce';
+    entry.timer = this.clock.setTimeout(() => this.control('timer', target, () => this.runTimer(target)), delay);
+  }
+
+  /**
+   * Push a periodic target's source every interval (chained so manual clocks can step it)
+   */
+  armInterval(entry, target) {
+    const interval = SCHEDULE_INTERVALS[entry.frequency];
+
+    this.clearTimer(entry);
+    entry.nextRunAt = this.clock.now() + interval;
+    entry.timerKind = 'interval';
+    entry.timer = this.clock.setTimeout(() => this.control('timer', target, () => this.runTimer(target)), interval);
+  }
+
+  /**
+   * What a target's armed timer does when it fires: flush the debounced change, or
+   * push the periodic source. A replay calls this where the log says a timer fired.
+   */
+  runTimer(target) {
+    const entry = this.targets.get(target);
+
+    if (!entry || !entry.timerKind) {
+      return { sent: false, target, reason: 'no_timer_armed' };
+    }
+
+    const kind = entry.timerKind;
+    entry.timer = null;
+    entry.timerKind = null;
+
+    const result = kind === 'interval'
+      ? this.dispatch(target, entry, entry.source(this.clock.now()))
+      : this.flush(target);
+
+    if (SCHEDULE_INTERVALS[entry.frequency] && entry.state === 'running') {
+      this.armInterval(entry, target);
+    }
+    return result;
+  }
+
+  /**
+   * Send a target's pending (coalesced) change now
+   */
+  flush(target) {
+    const entry = this.targets.get(target);
+
+    if (!entry || entry.pending === null) {
+      return { sent: false, target, reason: 'nothing_pending' };
+    }
+
+    const payload = entry.pending;
+    const coalesced = entry.coalesced;
+
+    entry.pending = null;
+    entry.pendingSince = null;
+    entry.coalesced = 0;
+    entry.accumulatedChange = 0;
+    if (entry.state === 'running' && !SCHEDULE_INTERVALS[entry.frequency]) {
+      this.clearTimer(entry);
+      entry.nextRunAt = null;
+    }
+
+    return { ...this.dispatch(target, entry, payload), coalesced };
+  }
+
+  /**
+   * Hand a payload to the target's sender
+   */
+  dispatch(target, entry, payload) {
+    const time = this.clock.now();
+    const result = entry.send(payload, time);
+
+    entry.dispatches++;
+    entry.lastDispatch = { time, sent: Boolean(result && result.sent) };
+    return result;
+  }
+
+  /**
+   * Cancel a target's timer
+   */
+  clearTimer(entry) {
+    if (entry.timer !== null) {
+      this.clock.clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+    entry.timerKind = null;
+  }
+
+  /**
+   * Schedule status for monitoring
+   */
+  getScheduleStatus() {
+    const targets = {};
+
+    this.targets.forEach((entry, target) => {
+      targets[target] = {
+        frequency: entry.frequency,
+        state: entry.state,
+        next_run_at: entry.nextRunAt,
+        pending: entry.pending !== null,
+        coalesced: entry.coalesced,
+        accumulated_change: entry.accumulatedChange,
+        dispatches: entry.dispatches,
+        last_dispatch: entry.lastDispatch
+      };
+    });
+
+    return {
+      debounce_ms: this.debounceMs,
+      max_wait_ms: this.maxWaitMs,
+      significant_change: this.significantChange,
+      targets
+    };
+  }
+
+  /**
+   * Export each target's run state and pending change for snapshots
+   */
+  exportState() {
+    const targets = {};
+
+    this.targets.forEach((entry, target) => {
+      targets[target] = {
+        state: entry.state,
+        timer_kind: entry.timerKind,
+        next_run_at: entry.nextRunAt,
+        pending: entry.pending,
+        pending_since: entry.pendingSince,
+        coalesced: entry.coalesced,
+        accumulated_change: entry.accumulatedChange,
+        dispatches: entry.dispatches,
+        last_dispatch: entry.lastDispatch
+      };
+    });
+
+    return JSON.parse(JSON.stringify({ targets }));
+  }
+
+  /**
+   * Restore targets from a snapshot; running targets get their timers back for the time left
+   */
+  importState(state) {
+    Object.entries(state.targets).forEach(([target, saved]) => {
+      const entry = this.targets.get(target);
+      if (!entry) {
+        return;
+      }
+
+      this.clearTimer(entry);
+      Object.assign(entry, {
+        state: saved.state,
+        nextRunAt: saved.next_run_at,
+        pending: saved.pending,
+        pendingSince: saved.pending_since,
+        coalesced: saved.coalesced,
+        accumulatedChange: saved.accumulated_change,
+        dispatches: saved.dispatches,
+        lastDispatch: saved.last_dispatch
+      });
+
+      if (saved.state === 'running' && saved.timer_kind) {
+        entry.timerKind = saved.timer_kind;
+        entry.timer = this.clock.setTimeout(
+          () => this.control('timer', target, () => this.runTimer(target)),
+          Math.max(saved.next_run_at - this.clock.now(), 0)
+        );
+      }
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BroadcastScheduler;
+}
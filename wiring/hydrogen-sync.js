@@ -1,30 +1,152 @@
 /**
  * Hydrogen Sync Module
- * Manages instant price propagation via hydrogen bonds
+ * Propagates price updates over hydrogen bonds and pluggable transports
  */
 
+// Weakest first: downgrades step left, one level at a time
+const BOND_STRENGTHS = ['weak', 'strong', 'very_strong'];
+const SYNC_PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
 class HydrogenSync {
-  constructor(wiringConfig) {
+  constructor(wiringConfig, options = {}) {
+    const InProcess = typeof InProcessTransport !== 'undefined'
+      ? InProcessTransport
+      : require('./transports/in-process-transport');
+    const Records = typeof PriceRecords !== 'undefined' ? PriceRecords : require('./price-records');
+
     this.config = wiringConfig.wiring_configuration;
     this.hydrogenBonds = [];
     this.syncQueue = [];
     this.bondStrength = this.config.hydrogen_bonds.bond_strength || 'strong';
     this.propagationSpeed = this.config.hydrogen_bonds.propagation_speed || 'instant';
+
+    // Targets without a registered transport are delivered to same-page subscribers
+    this.localBus = new InProcess();
+    this.transports = new Map();
+    this.defaultTransport = this.localBus;
+    this.clock = options.clock || (() => (typeof performance !== 'undefined' ? performance.now() : Date.now()));
+    this.now = options.now || (() => Date.now());
+
+    // Bond, sync and send IDs are counters, and retry jitter comes from a seeded
+    // generator, so restoring a snapshot and replaying the same inputs gives the same state
+    this.bondSeq = 0;
+    this.syncSeq = 0;
+    this.sendSeq = 0;
+    this.randomState = (options.randomSeed ?? Date.now()) >>> 0;
+    this.random = options.random || (() => this.nextRandom());
+
+    // Every transport outcome goes to these listeners (e.g. the engine event log);
+    // while replaying, outcomes come from the log instead of the transports
+    this.syncListeners = [];
+    this.replayedOutcomes = null;
+
+    // Versioned price records carried over bidirectional bonds
+    this.records = new Records(wiringConfig, options.nodeId || 'pricing-engine', { authority: options.authority });
+
+    // Queue retries, capacity and dead letters
+    const queue = this.config.sync_queue || {};
+    this.queueCapacity = queue.capacity || 1000;
+    this.overflowPolicy = queue.overflow_policy || 'drop_oldest';
+    this.baseDelayMs = queue.base_delay_ms || 1000;
+    this.maxDelayMs = queue.max_delay_ms || 60000;
+    this.jitter = queue.jitter ?? 0.2;
+    this.maxAttempts = { weak: 2, strong: 5, very_strong: 8, ...(queue.max_attempts || {}) };
+    this.deadLetterCapacity = queue.dead_letter_capacity || 500;
+    this.deadLetters = [];
+
+    // Bond strength sets delivery priority, timeout and (via sync_queue.max_attempts) retry budget
+    const bonds = this.config.hydrogen_bonds;
+    this.deliveryPriority = { weak: 'low', strong: 'normal', very_strong: 'high', ...(bonds.delivery_priority || {}) };
+    this.timeoutMs = { weak: 2000, strong: 5000, very_strong: 10000, ...(bonds.timeout_ms || {}) };
+
+    // Bond health is judged over each bond's last `window` deliveries
+    const health = bonds.health || {};
+    this.healthWindow = health.window || 50;
+    this.healthMinSamples = health.min_samples || 10;
+    this.downgradeBelow = health.downgrade_below ?? 0.8;
+    this.breakAfterFailures = health.break_after_failures || 10;
+  }
+
+  /**
+   * Next value of the seeded jitter generator, in [0, 1) (mulberry32)
+   */
+  nextRandom() {
+    this.randomState = (this.randomState + 0x6d2b79f5) >>> 0;
+    let t = this.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Call a listener with every sync outcome: { send_seq, bond_id, target, outcome, latency_ms, time }
+   */
+  onSync(listener) {
+    this.syncListeners.push(listener);
+  }
+
+  /**
+   * Take sync outcomes from a log rather than the transports ({ send_seq: outcome entry }),
+   * or go back to the transports with null
+   */
+  replayOutcomes(outcomes) {
+    this.replayedOutcomes = outcomes ? new Map(Object.entries(outcomes).map(([seq, entry]) => [Number(seq), entry])) : null;
+  }
+
+  /**
+   * Send syncs for a target over a transport: { name, send(message) } where send
+   * returns { delivered, error?, status? } or a Promise of one
+   */
+  registerTransport(target, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      return { registered: false, error: 'Transport must have a send(message) method' };
+    }
+
+    this.transports.set(target, transport);
+
+    return {
+      registered: true,
+      target,
+      transport: transport.name || 'custom'
+    };
+  }
+
+  /**
+   * Stop using a target's transport (it falls back to the default)
+   */
+  unregisterTransport(target) {
+    return { unregistered: this.transports.delete(target), target };
+  }
+
+  /**
+   * Transport used for a target
+   */
+  getTransport(target) {
+    return this.transports.get(target) || this.defaultTransport;
   }
 
   /**
    * Create a hydrogen bond between two components
    */
-  createBond(source, target, bondType = 'bidirectional') {
+  createBond(source, target, bondType = 'bidirectional', time = this.now()) {
     const bond = {
-      id: `${source}-${target}-${Date.now()}`,
+      id: `${source}-${target}-${++this.bondSeq}`,
       source,
       target,
       bondType,
       strength: this.bondStrength,
-      created: Date.now(),
+      created: time,
       active: true,
-      syncCount: 0
+      syncCount: 0,
+      failedSyncs: 0,
+      lastLatencyMs: null,
+      lastError: null,
+      samples: [],               // { delivered, latency_ms, time } for the health window
+      consecutiveFailures: 0,
+      lastFailure: null,
+      downgrades: 0,
+      brokenReason: null,
+      recordsSeq: 0              // Price records delivered up to this local sequence number
     };
 
     this.hydrogenBonds.push(bond);
@@ -41,7 +163,8 @@ class HydrogenSync {
   }
 
   /**
-   * Sync data instantly via hydrogen bond
+   * Sync data over a bond's transport; async transports return a Promise of the result.
+   * While replaying, the logged outcome of the same send stands in for the transport.
    */
   syncViaHydrogenBond(bondId, data) {
     const bond = this.hydrogenBonds.find(b => b.id === bondId);
@@ -62,66 +185,392 @@ class HydrogenSync {
       };
     }
 
-    // Instant propagation
-    const syncOperation = {
+    const transport = this.getTransport(bond.target);
+    const message = {
       bond_id: bondId,
-      source: bond.source,
-      target: bond.target,
+      from: bond.source,
+      to: bond.target,
       data,
-      timestamp: Date.now(),
-      propagation_time: 0, // Instant
-      success: true
+      sent_at: this.now()
     };
 
-    bond.syncCount++;
-    
+    // Bidirectional bonds carry the price records changed since their last delivery
+    const recordsSeq = this.records.seq;
+    if (bond.bondType === 'bidirectional') {
+      message.records = this.records.getRecordsSince(bond.recordsSeq);
+    }
+    const sendSeq = ++this.sendSeq;
+
+    if (this.replayedOutcomes) {
+      const logged = this.replayedOutcomes.get(sendSeq) ||
+        { outcome: { delivered: false, error: 'No logged outcome for this send' }, latency_ms: 0, time: this.now() };
+      return this.recordSync(bond, transport, logged.outcome, logged.latency_ms, logged.time, data, message.records, recordsSeq, sendSeq);
+    }
+
+    const started = this.clock();
+    const sync = outcome => this.recordSync(
+      bond, transport, outcome, Math.round((this.clock() - started) * 1000) / 1000, this.now(),
+      data, message.records, recordsSeq, sendSeq
+    );
+
+    let sent;
+    try {
+      sent = transport.send(message);
+    } catch (error) {
+      sent = { delivered: false, error: error.message };
+    }
+
+    // Async sends that outlast the bond's timeout count as failed
+    if (sent && typeof sent.then === 'function') {
+      const timeoutMs = this.getTimeout(bond.strength);
+      let timer;
+      const timedOut = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ delivered: false, error: `Timed out after ${timeoutMs}ms` }), timeoutMs);
+      });
+
+      return Promise.race([sent, timedOut]).then(
+        outcome => {
+          clearTimeout(timer);
+          return sync(outcome);
+        },
+        error => {
+          clearTimeout(timer);
+          return sync({ delivered: false, error: error.message });
+        }
+      );
+    }
+
+    return sync(sent);
+  }
+
+  /**
+   * Sync and always resolve asynchronously
+   */
+  async syncViaHydrogenBondAsync(bondId, data) {
+    return this.syncViaHydrogenBond(bondId, data);
+  }
+
+  /**
+   * Record a transport outcome on the bond and describe it. A send with no one
+   * listening (no_subscriber) fails without counting against the bond's health.
+   */
+  recordSync(bond, transport, outcome, latencyMs, time, data, records = undefined, recordsSeq = null, sendSeq = null) {
+    const delivered = Boolean(outcome && outcome.delivered);
+    const unheard = !delivered && Boolean(outcome && outcome.no_subscriber);
+
+    this.syncListeners.forEach(listener => listener({
+      send_seq: sendSeq,
+      bond_id: bond.id,
+      target: bond.target,
+      outcome: {
+        delivered,
+        error: outcome && outcome.error,
+        no_subscriber: outcome && outcome.no_subscriber,
+        confirmed: outcome && outcome.confirmed,
+        status: outcome && outcome.status
+      },
+      latency_ms: latencyMs,
+      time
+    }));
+
+    bond.lastLatencyMs = latencyMs;
+    if (delivered) {
+      bond.syncCount++;
+      bond.lastError = null;
+      bond.consecutiveFailures = 0;
+      if (records) {
+        bond.recordsSeq = Math.max(bond.recordsSeq, recordsSeq);
+      }
+    } else if (unheard) {
+      bond.failedSyncs++;
+      bond.lastError = outcome.error || 'No subscriber';
+    } else {
+      bond.failedSyncs++;
+      bond.lastError = (outcome && outcome.error) || 'Transport reported no delivery';
+      bond.consecutiveFailures++;
+      bond.lastFailure = { time, error: bond.lastError };
+    }
+
+    if (!unheard) {
+      bond.samples.push({ delivered, latency_ms: latencyMs, time });
+      if (bond.samples.length > this.healthWindow) {
+        bond.samples.shift();
+      }
+    }
+
+    const healthAction = unheard ? null : this.checkBondHealth(bond, time);
+
     return {
-      synced: true,
-      bond_id: bondId,
+      synced: delivered,
+      bond_id: bond.id,
       from: bond.source,
       to: bond.target,
-      data_synced: Object.keys(data).length,
-      propagation_speed: this.propagationSpeed,
-      propagation_time_ms: 0,
-      sync_count: bond.syncCount
+      transport: transport.name || 'custom',
+      data_synced: data ? Object.keys(data).length : 0,
+      records_synced: records ? records.length : 0,
+      propagation_time_ms: latencyMs,
+      confirmed: delivered ? outcome.confirmed !== false : false,
+      status: outcome && outcome.status !== undefined ? outcome.status : null,
+      no_subscriber: unheard || undefined,
+      error: delivered ? undefined : bond.lastError,
+      sync_count: bond.syncCount,
+      failed_syncs: bond.failedSyncs,
+      bond_strength: bond.strength,
+      health_action: healthAction
+    };
+  }
+
+  /**
+   * Break a bond after too many failures in a row, or downgrade it one strength
+   * when its success rate over the health window falls below downgrade_below
+   */
+  checkBondHealth(bond, time = this.now()) {
+    if (bond.consecutiveFailures >= this.breakAfterFailures) {
+      this.breakBond(bond.id, 'dead', time);
+      return { action: 'broken', consecutive_failures: bond.consecutiveFailures };
+    }
+
+    const health = this.getBondHealth(bond);
+    const index = BOND_STRENGTHS.indexOf(bond.strength);
+
+    if (health.samples >= this.healthMinSamples && health.success_rate < this.downgradeBelow && index > 0) {
+      const from = bond.strength;
+      bond.strength = BOND_STRENGTHS[index - 1];
+      bond.downgrades++;
+      // The new strength is judged on fresh deliveries
+      bond.samples = [];
+
+      return { action: 'downgraded', from, to: bond.strength, success_rate: health.success_rate };
+    }
+
+    return null;
+  }
+
+  /**
+   * Success rate, latency percentiles and last failure over a bond's health window
+   */
+  getBondHealth(bond) {
+    const samples = bond.samples.length;
+    const delivered = bond.samples.filter(s => s.delivered);
+    const latencies = delivered.map(s => s.latency_ms).sort((a, b) => a - b);
+    const successRate = samples > 0 ? Math.round(delivered.length / samples * 10000) / 10000 : null;
+
+    // Nearest-rank percentile over successful deliveries
+    const percentile = p => latencies.length > 0
+      ? latencies[Math.max(Math.ceil(p / 100 * latencies.length) - 1, 0)]
+      : null;
+
+    let reliability = 'unknown';
+    if (!bond.active) {
+      reliability = bond.brokenReason === 'dead' ? 'dead' : 'broken';
+    } else if (successRate !== null) {
+      reliability = successRate >= 0.99 ? 'high' : successRate >= this.downgradeBelow ? 'medium' : 'low';
+    }
+
+    return {
+      reliability,
+      samples,
+      success_rate: successRate,
+      latency_ms: { p50: percentile(50), p95: percentile(95), p99: percentile(99) },
+      consecutive_failures: bond.consecutiveFailures,
+      last_failure: bond.lastFailure,
+      downgrades: bond.downgrades
+    };
+  }
+
+  /**
+   * Delivery priority for syncs over a bond of this strength
+   */
+  getDeliveryPriority(strength) {
+    return this.deliveryPriority[strength] || 'normal';
+  }
+
+  /**
+   * How long an async send over a bond of this strength may take
+   */
+  getTimeout(strength) {
+    return this.timeoutMs[strength] || this.timeoutMs.strong;
+  }
+
+  /**
+   * What a bond's strength buys it
+   */
+  getStrengthProfile(strength) {
+    return {
+      priority: this.getDeliveryPriority(strength),
+      max_attempts: this.getMaxAttempts(strength),
+      timeout_ms: this.getTimeout(strength)
+    };
+  }
+
+  /**
+   * Active bond between two components, if any
+   */
+  findActiveBond(source, target) {
+    return this.hydrogenBonds.find(b => b.source === source && b.target === target && b.active) || null;
+  }
+
+  /**
+   * Merge price records a peer sent over a bidirectional bond; when the merge kept
+   * local values, the winning records are sent straight back to the peer (a Promise
+   * with async transports), and queued for retry if that send fails. A message from a
+   * peer whose bond was broken as dead shows it is reachable again and reconnects it.
+   */
+  receiveSync(message, time = this.now()) {
+    let bond = this.hydrogenBonds.find(b =>
+      b.target === message.from && b.bondType === 'bidirectional' && b.active
+    );
+
+    if (!bond) {
+      const dead = this.hydrogenBonds.filter(b =>
+        b.target === message.from && b.bondType === 'bidirectional' && b.brokenReason === 'dead'
+      ).pop();
+
+      if (!dead) {
+        return { received: false, error: `No active bidirectional bond with ${message.from}` };
+      }
+
+      this.reconnectBond(dead.id, 'peer_message_received');
+      bond = dead;
+    }
+
+    const merged = (message.records || []).map(record => this.records.merge(record, time, bond.target));
+    const conflicts = merged.reduce((all, m) => all.concat(m.conflicts || []), []);
+    const rebroadcast = merged.some(m => m.rebroadcast);
+    const reply = rebroadcast ? this.replyToPeer(bond, { reason: 'conflict_resolution' }, time) : null;
+
+    return {
+      received: true,
+      bond_id: bond.id,
+      from: message.from,
+      merged: merged.filter(m => m.merged).map(m => m.key),
+      stale: merged.filter(m => m.outcome === 'stale').map(m => m.key),
+      rejected: merged.filter(m => m.error).map(m => m.error),
+      conflicts,
+      reply
+    };
+  }
+
+  /**
+   * Send data (with the records the peer has not seen) back over a bond now; a failed
+   * send goes on the queue at high priority to be retried
+   */
+  replyToPeer(bond, data, time = this.now()) {
+    const settle = sync => {
+      if (sync.synced) {
+        return sync;
+      }
+
+      const retry = this.queueRetry(bond.source, bond.target, data, sync.error, time, 'high');
+      return { ...sync, retry };
     };
+    const sync = this.syncViaHydrogenBond(bond.id, data);
+
+    return typeof sync.then === 'function' ? sync.then(settle) : settle(sync);
   }
 
   /**
-   * Queue sync operation for batch processing
+   * Queue sync operation for batch processing (overflow follows sync_queue.overflow_policy);
+   * without a priority, the bond's strength decides it
    */
-  queueSync(source, target, data, priority = 'normal') {
+  queueSync(source, target, data, priority = null, time = this.now()) {
+    const bond = this.findActiveBond(source, target);
+    let evicted = null;
+
+    priority = priority || this.getDeliveryPriority(bond ? bond.strength : this.bondStrength);
+
+    if (this.syncQueue.length >= this.queueCapacity) {
+      if (this.overflowPolicy === 'reject') {
+        return {
+          queued: false,
+          error: 'Sync queue full',
+          capacity: this.queueCapacity,
+          overflow_policy: this.overflowPolicy
+        };
+      }
+
+      // drop_oldest: the oldest item of the lowest priority goes to the dead letters
+      const victim = this.syncQueue.reduce((oldest, item) =>
+        SYNC_PRIORITY_ORDER[item.priority] > SYNC_PRIORITY_ORDER[oldest.priority] ||
+        (item.priority === oldest.priority && item.queued < oldest.queued) ? item : oldest
+      );
+      this.syncQueue = this.syncQueue.filter(item => item !== victim);
+      evicted = this.deadLetter(victim, 'evicted_on_overflow', time);
+    }
+
     const syncItem = {
-      id: `sync-${Date.now()}-${Math.random()}`,
+      id: `sync-${++this.syncSeq}`,
       source,
       target,
       data,
       priority,
-      queued: Date.now(),
-      status: 'queued'
+      queued: time,
+      status: 'queued',
+      attempts: 0,
+      next_attempt_at: time,
+      last_error: null
     };
 
-    this.syncQueue.push(syncItem);
-
-    // Sort by priority (high -> normal -> low)
-    this.syncQueue.sort((a, b) => {
-      const priorityOrder = { high: 0, normal: 1, low: 2 };
-      return priorityOrder[a.priority] - priorityOrder[b.priority];
-    });
+    this.insertByPriority(syncItem);
 
     return {
       queued: true,
       sync_id: syncItem.id,
       position: this.syncQueue.findIndex(s => s.id === syncItem.id) + 1,
       queue_length: this.syncQueue.length,
-      priority
+      priority,
+      evicted: evicted ? evicted.id : null
     };
   }
 
   /**
-   * Process sync queue
+   * Queue a sync whose first send already failed; it is retried after the first backoff
    */
-  processSyncQueue() {
+  queueRetry(source, target, data, error, time = this.now(), priority = null) {
+    const queued = this.queueSync(source, target, data, priority, time);
+
+    if (!queued.queued) {
+      return queued;
+    }
+
+    const syncItem = this.syncQueue.find(s => s.id === queued.sync_id);
+    syncItem.attempts = 1;
+    syncItem.status = 'retrying';
+    syncItem.last_error = error;
+    syncItem.next_attempt_at = time + this.getBackoffDelay(1);
+
+    return { ...queued, next_attempt_at: syncItem.next_attempt_at };
+  }
+
+  /**
+   * Insert an item keeping the queue sorted by priority (high -> normal -> low), FIFO within a priority
+   */
+  insertByPriority(syncItem) {
+    this.syncQueue.push(syncItem);
+    this.syncQueue.sort((a, b) => SYNC_PRIORITY_ORDER[a.priority] - SYNC_PRIORITY_ORDER[b.priority]);
+  }
+
+  /**
+   * Attempts allowed before a sync is dead-lettered, by bond strength
+   */
+  getMaxAttempts(strength) {
+    return this.maxAttempts[strength] || this.maxAttempts.strong;
+  }
+
+  /**
+   * Delay before the next attempt: exponential backoff with +/- jitter, capped
+   */
+  getBackoffDelay(attempts) {
+    const exponential = Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+    const spread = exponential * this.jitter * (this.random() * 2 - 1);
+    return Math.max(Math.round(exponential + spread), 0);
+  }
+
+  /**
+   * Deliver every queued sync that is due, stronger bonds first within a priority;
+   * failures back off and retry, then dead-letter
+   */
+  processSyncQueue(now = this.now()) {
     if (this.syncQueue.length === 0) {
       return {
         processed: 0,
@@ -129,38 +578,193 @@ class HydrogenSync {
       };
     }
 
-    const results = [];
-    const toProcess = [...this.syncQueue];
-    this.syncQueue = [];
+    const due = this.syncQueue.filter(item => item.next_attempt_at <= now);
+    this.syncQueue = this.syncQueue.filter(item => item.next_attempt_at > now);
 
-    toProcess.forEach(syncItem => {
-      // Find or create bond
-      let bond = this.hydrogenBonds.find(
-        b => b.source === syncItem.source && b.target === syncItem.target
-      );
+    const deadBondResults = [];
+    const ready = [];
+
+    due.forEach(syncItem => {
+      // Find or create bond; a bond broken for being dead is not silently replaced
+      let bond = this.findActiveBond(syncItem.source, syncItem.target);
 
       if (!bond) {
-        const created = this.createBond(syncItem.source, syncItem.target);
+        const previous = this.hydrogenBonds.filter(b => b.source === syncItem.source && b.target === syncItem.target);
+        if (previous.length > 0 && previous[previous.length - 1].brokenReason === 'dead') {
+          this.deadLetter(syncItem, 'bond_dead', now);
+          deadBondResults.push({
+            sync_id: syncItem.id,
+            target: syncItem.target,
+            data: syncItem.data,
+            attempt: syncItem.attempts,
+            outcome: 'dead_lettered',
+            result: null
+          });
+          return;
+        }
+
+        const created = this.createBond(syncItem.source, syncItem.target, 'bidirectional', now);
         bond = this.hydrogenBonds.find(b => b.id === created.bond_id);
       }
 
-      const result = this.syncViaHydrogenBond(bond.id, syncItem.data);
-      results.push({
+      ready.push({ syncItem, bond });
+    });
+
+    ready.sort((a, b) =>
+      SYNC_PRIORITY_ORDER[a.syncItem.priority] - SYNC_PRIORITY_ORDER[b.syncItem.priority] ||
+      BOND_STRENGTHS.indexOf(b.bond.strength) - BOND_STRENGTHS.indexOf(a.bond.strength)
+    );
+
+    const attempts = ready.map(({ syncItem, bond }) => {
+      syncItem.attempts++;
+      syncItem.status = 'in_flight';
+
+      return {
+        syncItem,
+        bond,
+        result: this.syncViaHydrogenBond(bond.id, syncItem.data)
+      };
+    });
+
+    const settle = settled => {
+      const results = deadBondResults.concat(settled.map(({ syncItem, bond, result }) => ({
         sync_id: syncItem.id,
+        target: syncItem.target,
+        data: syncItem.data,
+        attempt: syncItem.attempts,
+        outcome: this.settleAttempt(syncItem, bond, result, now),
         result
+      })));
+      const count = outcome => results.filter(r => r.outcome === outcome).length;
+
+      return {
+        processed: results.length,
+        synced: count('delivered'),
+        retrying: count('retry_scheduled'),
+        dead_lettered: count('dead_lettered'),
+        results,
+        queue_length: this.syncQueue.length,
+        next_attempt_at: this.syncQueue.length > 0 ? Math.min(...this.syncQueue.map(item => item.next_attempt_at)) : null
+      };
+    };
+
+    // Wait for async transports before settling
+    if (attempts.some(a => typeof a.result.then === 'function')) {
+      return Promise.all(attempts.map(a => Promise.resolve(a.result).then(result => ({ ...a, result }))))
+        .then(settle);
+    }
+
+    return settle(attempts);
+  }
+
+  /**
+   * Apply one delivery attempt's outcome to its queue item
+   */
+  settleAttempt(syncItem, bond, result, now) {
+    if (result.synced) {
+      syncItem.status = 'delivered';
+      return 'delivered';
+    }
+
+    syncItem.last_error = result.error;
+
+    if (syncItem.attempts >= this.getMaxAttempts(bond.strength)) {
+      this.deadLetter(syncItem, 'max_attempts_exceeded', now);
+      return 'dead_lettered';
+    }
+
+    syncItem.status = 'retrying';
+    syncItem.next_attempt_at = now + this.getBackoffDelay(syncItem.attempts);
+    this.insertByPriority(syncItem);
+    return 'retry_scheduled';
+  }
+
+  /**
+   * Move a sync to the dead-letter store
+   */
+  deadLetter(syncItem, reason, time = this.now()) {
+    const letter = {
+      ...syncItem,
+      status: 'dead_lettered',
+      reason,
+      dead_lettered_at: time
+    };
+
+    this.deadLetters.push(letter);
+    if (this.deadLetters.length > this.deadLetterCapacity) {
+      this.deadLetters.shift();
+    }
+
+    return letter;
+  }
+
+  /**
+   * Inspect dead-lettered syncs, optionally for one target
+   */
+  getDeadLetters(target = null) {
+    const letters = target ? this.deadLetters.filter(l => l.target === target) : this.deadLetters;
+
+    return {
+      dead_letters: letters.map(l => ({ ...l })),
+      total: letters.length,
+      capacity: this.deadLetterCapacity
+    };
+  }
+
+  /**
+   * Put dead letters back on the queue with a fresh attempt budget
+   * (all of them, one target's, or the listed IDs)
+   */
+  redriveDeadLetters(filter = {}, time = this.now()) {
+    const { target = null, ids = null } = filter;
+    const selected = this.deadLetters.filter(l =>
+      (!target || l.target === target) && (!ids || ids.includes(l.id))
+    );
+    const redriven = [];
+    const refused = [];
+
+    selected.forEach(letter => {
+      const { reason, dead_lettered_at: deadLetteredAt, ...syncItem } = letter;
+
+      if (this.syncQueue.length >= this.queueCapacity) {
+        refused.push(letter.id);
+        return;
+      }
+
+      this.deadLetters = this.deadLetters.filter(l => l !== letter);
+      this.insertByPriority({
+        ...syncItem,
+        status: 'queued',
+        attempts: 0,
+        next_attempt_at: time,
+        redriven_from: reason
       });
+      redriven.push(letter.id);
     });
 
     return {
-      processed: results.length,
-      results,
-      queue_cleared: true,
-      propagation: 'instant_via_hydrogen_bonds'
+      redriven: redriven.length,
+      sync_ids: redriven,
+      refused_queue_full: refused,
+      dead_letters_remaining: this.deadLetters.length
+    };
+  }
+
+  /**
+   * Discard dead letters (all of them, or one target's)
+   */
+  purgeDeadLetters(target = null) {
+    const before = this.deadLetters.length;
+    this.deadLetters = target ? this.deadLetters.filter(l => l.target !== target) : [];
+
+    return {
+      purged: before - this.deadLetters.length,
+      dead_letters_remaining: this.deadLetters.length
     };
   }
 
   /**
-   * Strengthen a bond (increase sync reliability)
+   * Strengthen a bond (higher delivery priority, more retries, longer timeout)
    */
   strengthenBond(bondId) {
     const bond = this.hydrogenBonds.find(b => b.id === bondId);
@@ -176,13 +780,12 @@ class HydrogenSync {
       bond_id: bondId,
       old_strength: oldStrength,
       new_strength: bond.strength,
-      sync_reliability: 'maximum',
-      propagation_guarantee: 'instant'
+      ...this.getStrengthProfile(bond.strength)
     };
   }
 
   /**
-   * Weaken a bond (reduce sync priority)
+   * Weaken a bond (lower delivery priority, fewer retries, shorter timeout)
    */
   weakenBond(bondId) {
     const bond = this.hydrogenBonds.find(b => b.id === bondId);
@@ -198,14 +801,14 @@ class HydrogenSync {
       bond_id: bondId,
       old_strength: oldStrength,
       new_strength: bond.strength,
-      sync_priority: 'reduced'
+      ...this.getStrengthProfile(bond.strength)
     };
   }
 
   /**
-   * Break a hydrogen bond
+   * Break a hydrogen bond ('dead' when broken by health checks)
    */
-  breakBond(bondId) {
+  breakBond(bondId, reason = 'manual', time = this.now()) {
     const bondIndex = this.hydrogenBonds.findIndex(b => b.id === bondId);
     
     if (bondIndex === -1) {
@@ -214,10 +817,13 @@ class HydrogenSync {
 
     const bond = this.hydrogenBonds[bondIndex];
     bond.active = false;
+    bond.brokenReason = reason;
+    bond.brokenAt = time;
 
     return {
       bond_broken: true,
       bond_id: bondId,
+      reason,
       source: bond.source,
       target: bond.target,
       total_syncs: bond.syncCount,
@@ -225,22 +831,68 @@ class HydrogenSync {
     };
   }
 
+  /**
+   * Bring a broken bond back into service with a clean health record
+   */
+  reconnectBond(bondId, reason = 'manual') {
+    const bond = this.hydrogenBonds.find(b => b.id === bondId);
+
+    if (!bond) {
+      return { error: 'Bond not found' };
+    }
+    if (bond.active) {
+      return { bond_reconnected: false, error: 'Bond is already active', bond_id: bondId };
+    }
+
+    const brokenReason = bond.brokenReason;
+    bond.active = true;
+    bond.brokenReason = null;
+    delete bond.brokenAt;
+    bond.consecutiveFailures = 0;
+    bond.samples = [];
+
+    return {
+      bond_reconnected: true,
+      bond_id: bondId,
+      reason,
+      was_broken_for: brokenReason,
+      source: bond.source,
+      target: bond.target,
+      strength: bond.strength,
+      status: 'hydrogen_bond_active'
+    };
+  }
+
   /**
    * Get active bonds
    */
   getActiveBonds() {
     const active = this.hydrogenBonds.filter(b => b.active);
-    
+    const dead = this.hydrogenBonds.filter(b => b.brokenReason === 'dead');
+
     return {
       active_bonds: active.length,
       total_bonds: this.hydrogenBonds.length,
+      dead_bonds: dead.map(b => ({
+        id: b.id,
+        source: b.source,
+        target: b.target,
+        broken_at: b.brokenAt,
+        last_failure: b.lastFailure
+      })),
       bonds: active.map(b => ({
         id: b.id,
         source: b.source,
         target: b.target,
         type: b.bondType,
         strength: b.strength,
-        syncs: b.syncCount
+        transport: this.getTransport(b.target).name || 'custom',
+        syncs: b.syncCount,
+        failed_syncs: b.failedSyncs,
+        last_latency_ms: b.lastLatencyMs,
+        last_error: b.lastError,
+        ...this.getStrengthProfile(b.strength),
+        health: this.getBondHealth(b)
       }))
     };
   }
@@ -251,6 +903,12 @@ class HydrogenSync {
   getHydrogenStatus() {
     const activeBonds = this.hydrogenBonds.filter(b => b.active).length;
     const totalSyncs = this.hydrogenBonds.reduce((sum, b) => sum + b.syncCount, 0);
+    const failedSyncs = this.hydrogenBonds.reduce((sum, b) => sum + b.failedSyncs, 0);
+    const reliability = { high: 0, medium: 0, low: 0, unknown: 0 };
+
+    this.hydrogenBonds.filter(b => b.active).forEach(b => {
+      reliability[this.getBondHealth(b).reliability]++;
+    });
 
     return {
       hydrogen_bonds_enabled: this.config.hydrogen_bonds.enabled,
@@ -259,7 +917,18 @@ class HydrogenSync {
       active_bonds: activeBonds,
       total_bonds: this.hydrogenBonds.length,
       total_syncs: totalSyncs,
+      failed_syncs: failedSyncs,
+      bond_reliability: reliability,
+      downgraded_bonds: this.hydrogenBonds.filter(b => b.active && b.downgrades > 0).length,
+      dead_bonds: this.hydrogenBonds.filter(b => b.brokenReason === 'dead').length,
+      transports: Object.fromEntries(Array.from(this.transports, ([target, t]) => [target, t.name || 'custom'])),
+      default_transport: this.defaultTransport.name || 'custom',
       queue_length: this.syncQueue.length,
+      queue_capacity: this.queueCapacity,
+      overflow_policy: this.overflowPolicy,
+      retrying: this.syncQueue.filter(item => item.status === 'retrying').length,
+      dead_letters: this.deadLetters.length,
+      price_records: this.records.getRecordsStatus(),
       status: activeBonds > 0 ? 'syncing_active' : 'ready'
     };
   }
@@ -279,18 +948,63 @@ class HydrogenSync {
       };
     }
 
-    // Simulate test sync
-    const testResult = this.syncViaHydrogenBond(bond.id, { test: true });
-
-    return {
-      connected: true,
+    // Send a test message over the bond's transport
+    const describe = testResult => ({
+      connected: testResult.synced,
       bond_id: bond.id,
       test_sync: testResult.synced ? 'success' : 'failed',
-      propagation_speed: this.propagationSpeed,
+      transport: testResult.transport,
+      latency_ms: testResult.propagation_time_ms,
+      error: testResult.error,
       bond_strength: bond.strength,
-      reliability: 'high'
+      reliability: this.getBondHealth(bond).reliability,
+      health_action: testResult.health_action
+    });
+    const testResult = this.syncViaHydrogenBond(bond.id, { test: true });
+
+    return typeof testResult.then === 'function' ? testResult.then(describe) : describe(testResult);
+  }
+
+  /**
+   * Export bonds, queued syncs, dead letters, price records and ID counters for snapshots
+   */
+  exportState() {
+    return {
+      hydrogen_bonds: this.hydrogenBonds.map(b => ({ ...b, samples: b.samples.map(s => ({ ...s })) })),
+      sync_queue: this.syncQueue.map(s => ({ ...s })),
+      dead_letters: this.deadLetters.map(l => ({ ...l })),
+      price_records: this.records.exportState(),
+      bond_seq: this.bondSeq,
+      sync_seq: this.syncSeq,
+      send_seq: this.sendSeq,
+      random_state: this.randomState
     };
   }
+
+  /**
+   * Restore bonds, queued syncs, dead letters, price records and ID counters from a snapshot
+   */
+  importState(state) {
+    this.hydrogenBonds = state.hydrogen_bonds.map(b => ({
+      failedSyncs: 0,
+      lastLatencyMs: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      lastFailure: null,
+      downgrades: 0,
+      brokenReason: b.active ? null : 'manual',
+      recordsSeq: 0,
+      ...b,
+      samples: (b.samples || []).map(s => ({ ...s }))
+    }));
+    this.syncQueue = state.sync_queue.map(s => ({ ...s }));
+    this.deadLetters = state.dead_letters.map(l => ({ ...l }));
+    this.records.importState(state.price_records);
+    this.bondSeq = state.bond_seq;
+    this.syncSeq = state.sync_seq;
+    this.sendSeq = state.send_seq;
+    this.randomState = state.random_state;
+  }
 }
 
 // Export for use in other modules
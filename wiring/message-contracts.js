@@ -0,0 +1,526 @@
+/**
+ * Message Contracts Module
+ * Versioned payload schemas for every signal sent and received, per-site version
+ * negotiation, and a checker that flags breaking changes between versions
+ */
+
+// Outgoing types are read by sites; incoming types are written by them, and these are the
+// payload schemas PriceReceiver checks received signals against.
+// Field rules: { type, required, enum, integer, min, exclusiveMin, nullable }. Unknown fields are allowed.
+const MESSAGE_CONTRACTS = {
+  updated_prices: {
+    direction: 'outgoing',
+    versions: {
+      1: {
+        type: { type: 'string', required: true, enum: ['updated_prices'] },
+        prices: { type: 'object', required: true },
+        alc_market_value: { type: 'number', required: true, min: 0 },
+        effective_immediately: { type: 'boolean' }
+      }
+    }
+  },
+  market_data: {
+    direction: 'outgoing',
+    versions: {
+      1: {
+        type: { type: 'string', required: true, enum: ['market_data'] },
+        alc_value: { type: 'number', required: true, min: 0 },
+        volume: { type: 'number', min: 0 },
+        trend: { type: 'string' },
+        capacitor_charge: { type: 'number', min: 0 },
+        fairness_score: { type: 'number', min: 0 }
+      },
+      // v2: values in every display currency
+      2: {
+        type: { type: 'string', required: true, enum: ['market_data'] },
+        alc_value: { type: 'number', required: true, min: 0 },
+        fiat_values: { type: 'object', required: true },
+        volume: { type: 'number', min: 0 },
+        trend: { type: 'string' },
+        capacitor_charge: { type: 'number', min: 0 },
+        fairness_score: { type: 'number', min: 0 }
+      }
+    }
+  },
+  catalog_values: {
+    direction: 'outgoing',
+    versions: {
+      1: {
+        type: { type: 'string', required: true, enum: ['catalog_values'] },
+        items: { type: 'array', required: true },
+        alc_prices: { type: 'array', required: true },
+        usd_estimates: { type: 'array', required: true }
+      },
+      // v2: fiat estimates, and the versioned catalog that patches build on
+      2: {
+        type: { type: 'string', required: true, enum: ['catalog_values'] },
+        mode: { type: 'string', required: true, enum: ['full'] },
+        version: { type: 'number', required: true, min: 1 },
+        base_version: { type: 'number', nullable: true },
+        catalog: { type: 'object', required: true },
+        items: { type: 'array', required: true },
+        alc_prices: { type: 'array', required: true },
+        usd_estimates: { type: 'array', required: true },
+        fiat_estimates: { type: 'array', required: true }
+      }
+    }
+  },
+  catalog_patch: {
+    direction: 'outgoing',
+    versions: {
+      1: {
+        type: { type: 'string', required: true, enum: ['catalog_patch'] },
+        mode: { type: 'string', required: true, enum: ['patch'] },
+        version: { type: 'number', required: true, min: 1 },
+        base_version: { type: 'number', required: true, min: 1 },
+        added: { type: 'object', required: true },
+        removed: { type: 'array', required: true },
+        repriced: { type: 'object', required: true }
+      }
+    }
+  },
+  price_changes: {
+    direction: 'outgoing',
+    versions: {
+      1: {
+        type: { type: 'string', required: true, enum: ['price_changes'] },
+        changes: { type: 'object', nullable: true },
+        change_percent: { type: 'number', required: true },
+        reason: { type: 'string' },
+        domino_effect_active: { type: 'boolean' }
+      }
+    }
+  },
+  price_cascade: {
+    direction: 'outgoing',
+    versions: {
+      1: {
+        type: { type: 'string', required: true, enum: ['price_cascade'] },
+        cascaded_update: { type: 'boolean', required: true },
+        original_price: { type: 'number', required: true, min: 0 },
+        new_price: { type: 'number', required: true, min: 0 },
+        change_percent: { type: 'number', required: true },
+        reason: { type: 'string' },
+        domino_effect: { type: 'string' }
+      }
+    }
+  },
+  purchase_made: {
+    direction: 'incoming',
+    versions: {
+      1: {
+        item: { type: 'string', required: true },
+        quantity: { type: 'number', integer: true, min: 1 },
+        price: { type: 'number', min: 0 },
+        user: { type: 'string' }
+      },
+      // v2: quoted purchases and promo codes
+      2: {
+        item: { type: 'string', required: true },
+        quantity: { type: 'number', integer: true, min: 1 },
+        price: { type: 'number', min: 0 },
+        user: { type: 'string' },
+        quote_id: { type: 'string' },
+        promo_codes: { type: 'array' }
+      }
+    }
+  },
+  art_created: {
+    direction: 'incoming',
+    versions: {
+      1: {
+        artId: { type: 'string' },
+        complexity: { type: 'string', enum: ['low', 'medium', 'high'] },
+        timeSpent: { type: 'number', min: 0 },
+        style: { type: 'string' }
+      }
+    }
+  },
+  new_token: {
+    direction: 'incoming',
+    versions: {
+      1: {
+        tokenId: { type: 'string' },
+        type: { type: 'string', enum: ['standard', 'premium', 'limited'] },
+        utility: { type: 'string', enum: ['low', 'medium', 'high'] },
+        supply: { type: 'number', min: 1 }
+      }
+    }
+  },
+  economy_status: {
+    direction: 'incoming',
+    versions: {
+      1: {
+        supply: { type: 'number', min: 0, exclusiveMin: true },
+        demand: { type: 'number', min: 0 },
+        activity: { type: 'number', min: 0 },
+        trend: { type: 'string' }
+      }
+    }
+  },
+  fx_rates: {
+    direction: 'incoming',
+    versions: {
+      1: {
+        rates: { type: 'object', required: true },
+        updated: { type: 'string' }
+      }
+    }
+  }
+};
+
+class MessageContracts {
+  constructor(contracts = MESSAGE_CONTRACTS) {
+    this.contracts = JSON.parse(JSON.stringify(contracts));
+    this.negotiated = new Map();   // site -> { message_type: version, or null when no version is shared }
+  }
+
+  /**
+   * Versions of a message type, oldest first
+   */
+  getVersions(messageType) {
+    const contract = this.contracts[messageType];
+    return contract ? Object.keys(contract.versions).map(Number).sort((a, b) => a - b) : [];
+  }
+
+  /**
+   * Newest version of a message type
+   */
+  getLatestVersion(messageType) {
+    const versions = this.getVersions(messageType);
+    return versions.length > 0 ? versions[versions.length - 1] : null;
+  }
+
+  /**
+   * A message type's direction and field rules at a version (the latest by default)
+   */
+  getContract(messageType, version = null) {
+    const contract = this.contracts[messageType];
+    const resolved = version ?? this.getLatestVersion(messageType);
+
+    if (!contract || !contract.versions[resolved]) {
+      return null;
+    }
+
+    return {
+      message_type: messageType,
+      direction: contract.direction,
+      version: resolved,
+      fields: JSON.parse(JSON.stringify(contract.versions[resolved]))
+    };
+  }
+
+  /**
+   * Add the next version of a message type (or version 1 of a new one). The
+   * compatibility report against the previous version flags breaking changes.
+   */
+  registerContract(messageType, version, definition) {
+    const { direction, fields } = definition || {};
+    const existing = this.contracts[messageType];
+    const expected = existing ? this.getLatestVersion(messageType) + 1 : 1;
+
+    if (!['outgoing', 'incoming'].includes(direction)) {
+      return { registered: false, error: 'direction must be outgoing or incoming' };
+    }
+    if (existing && existing.direction !== direction) {
+      return { registered: false, error: `${messageType} is an ${existing.direction} message type` };
+    }
+    if (version !== expected) {
+      return { registered: false, error: `Next version of ${messageType} must be ${expected}` };
+    }
+    if (!fields || typeof fields !== 'object' || Object.values(fields).some(rules => !rules || !rules.type)) {
+      return { registered: false, error: 'fields must map each field name to rules with a type' };
+    }
+
+    if (!existing) {
+      this.contracts[messageType] = { direction, versions: {} };
+    }
+    this.contracts[messageType].versions[version] = JSON.parse(JSON.stringify(fields));
+
+    return {
+      registered: true,
+      message_type: messageType,
+      version,
+      compatibility: existing ? this.checkCompatibility(messageType, version - 1, version) : null
+    };
+  }
+
+  /**
+   * Problems with a payload under a message type's (or a receiver handler's) field rules
+   */
+  validate(data, fields) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['data must be an object'];
+    }
+
+    Object.entries(fields).forEach(([field, rules]) => {
+      const value = data[field];
+
+      if (value === undefined || (value === null && rules.nullable)) {
+        if (value === undefined && rules.required) {
+          errors.push(`data.${field} is required`);
+        }
+        return;
+      }
+
+      const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+      if (actualType !== rules.type || (rules.type === 'number' && !Number.isFinite(value))) {
+        errors.push(`data.${field} must be a ${rules.type}`);
+        return;
+      }
+
+      if (rules.enum && !rules.enum.includes(value)) {
+        errors.push(`data.${field} must be one of: ${rules.enum.join(', ')}`);
+      }
+
+      if (rules.integer && !Number.isInteger(value)) {
+        errors.push(`data.${field} must be an integer`);
+      }
+
+      if (rules.min !== undefined && (rules.exclusiveMin ? value <= rules.min : value < rules.min)) {
+        errors.push(`data.${field} must be ${rules.exclusiveMin ? 'greater than' : 'at least'} ${rules.min}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Agree message versions with a site that supports { message_type: [versions] }:
+   * the newest version both sides know. Types without a shared version are not sent
+   * to (or accepted from) that site; types it does not list stay on the latest version.
+   */
+  negotiate(site, supported) {
+    if (!supported || typeof supported !== 'object' || Array.isArray(supported)) {
+      return { negotiated: false, error: 'Supported versions must map message types to version lists' };
+    }
+
+    const versions = {};
+    const incompatible = [];
+    const unknownTypes = [];
+
+    Object.entries(supported).forEach(([messageType, offered]) => {
+      const offeredList = Array.isArray(offered) ? offered : [offered];
+
+      if (!this.contracts[messageType]) {
+        unknownTypes.push(messageType);
+        return;
+      }
+
+      const shared = this.getVersions(messageType).filter(v => offeredList.includes(v));
+      versions[messageType] = shared.length > 0 ? shared[shared.length - 1] : null;
+      if (shared.length === 0) {
+        incompatible.push({ message_type: messageType, offered: offeredList, supported: this.getVersions(messageType) });
+      }
+    });
+
+    this.negotiated.set(site, versions);
+
+    return { negotiated: true, site, versions, incompatible, unknown_types: unknownTypes };
+  }
+
+  /**
+   * Version used with a site for a message type (null when they share none)
+   */
+  getVersion(site, messageType) {
+    const versions = this.negotiated.get(site);
+    return versions && messageType in versions ? versions[messageType] : this.getLatestVersion(messageType);
+  }
+
+  /**
+   * Whether a site can be sent (or send) a message type
+   */
+  supports(site, messageType) {
+    return Boolean(this.contracts[messageType]) && this.getVersion(site, messageType) !== null;
+  }
+
+  /**
+   * Check an update before it is sent. The payload's type names its contract,
+   * falling back to the target's signal.
+   */
+  validateOutgoing(target, data, signal) {
+    const messageType = data && this.contracts[data.type] ? data.type : signal;
+    const contract = this.contracts[messageType];
+
+    if (!contract || contract.direction !== 'outgoing') {
+      return { valid: false, message_type: messageType, error: `No outgoing contract for ${messageType}` };
+    }
+
+    const version = this.getVersion(target, messageType);
+    if (version === null) {
+      return { valid: false, message_type: messageType, error: `${target} shares no version of ${messageType}` };
+    }
+
+    const errors = this.validate(data, contract.versions[version]);
+    return errors.length > 0
+      ? { valid: false, message_type: messageType, schema_version: version, error: `Invalid ${messageType} v${version} payload`, validation_errors: errors }
+      : { valid: true, message_type: messageType, schema_version: version };
+  }
+
+  /**
+   * Check a received signal against its event's contract, at the version the signal
+   * declares or the one negotiated with its source. Events without a contract pass.
+   */
+  validateIncoming(source, event, data, version = null) {
+    const contract = this.contracts[event];
+
+    if (!contract || contract.direction !== 'incoming') {
+      return { valid: true, message_type: event, schema_version: null };
+    }
+
+    const resolved = version ?? this.getVersion(source, event);
+    if (resolved === null || !contract.versions[resolved]) {
+      return {
+        valid: false,
+        message_type: event,
+        schema_version: resolved,
+        error: `Unsupported ${event} version ${resolved}`,
+        supported_versions: this.getVersions(event)
+      };
+    }
+
+    const errors = this.validate(data, contract.versions[resolved]);
+    return errors.length > 0
+      ? { valid: false, message_type: event, schema_version: resolved, error: `Invalid ${event} v${resolved} payload`, validation_errors: errors }
+      : { valid: true, message_type: event, schema_version: resolved };
+  }
+
+  /**
+   * How one field's constraints moved between versions: tightened (fewer payloads
+   * valid) or loosened (more payloads valid)
+   */
+  compareRules(field, before, after) {
+    const changes = [];
+    const change = (tightened, description) => changes.push({ field, tightened, change: description });
+
+    if (Boolean(before.required) !== Boolean(after.required)) {
+      change(Boolean(after.required), after.required ? 'became required' : 'became optional');
+    }
+    if (Boolean(before.nullable) !== Boolean(after.nullable)) {
+      change(!after.nullable, after.nullable ? 'became nullable' : 'no longer nullable');
+    }
+
+    if (before.enum || after.enum) {
+      const added = after.enum ? after.enum.filter(v => !before.enum || !before.enum.includes(v)) : [];
+      const removed = before.enum ? before.enum.filter(v => !after.enum || !after.enum.includes(v)) : [];
+
+      if (!before.enum) {
+        change(true, `restricted to ${after.enum.join(', ')}`);
+      } else if (!after.enum) {
+        change(false, 'no longer restricted to listed values');
+      } else {
+        if (removed.length > 0) change(true, `values removed: ${removed.join(', ')}`);
+        if (added.length > 0) change(false, `values added: ${added.join(', ')}`);
+      }
+    }
+
+    if (Boolean(before.integer) !== Boolean(after.integer)) {
+      change(Boolean(after.integer), after.integer ? 'became integer only' : 'no longer integer only');
+    }
+
+    const lowerBound = rules => rules.min === undefined ? -Infinity : rules.min;
+    if (lowerBound(before) !== lowerBound(after)) {
+      change(lowerBound(after) > lowerBound(before), `minimum ${before.min ?? 'none'} -> ${after.min ?? 'none'}`);
+    } else if (Boolean(before.exclusiveMin) !== Boolean(after.exclusiveMin) && after.min !== undefined) {
+      change(Boolean(after.exclusiveMin), after.exclusiveMin ? 'minimum became exclusive' : 'minimum became inclusive');
+    }
+
+    return changes;
+  }
+
+  /**
+   * Breaking and non-breaking changes between two versions of a message type.
+   * Sites read outgoing messages, so removing or loosening a field breaks them;
+   * sites write incoming ones, so adding a required field or tightening one does.
+   */
+  checkCompatibility(messageType, fromVersion, toVersion) {
+    const contract = this.contracts[messageType];
+
+    if (!contract || !contract.versions[fromVersion] || !contract.versions[toVersion]) {
+      return { error: `Unknown ${messageType} versions ${fromVersion} and ${toVersion}`, versions: this.getVersions(messageType) };
+    }
+
+    const before = contract.versions[fromVersion];
+    const after = contract.versions[toVersion];
+    const outgoing = contract.direction === 'outgoing';
+    const breaking = [];
+    const nonBreaking = [];
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+      if (!after[field]) {
+        (outgoing ? breaking : nonBreaking).push({ field, change: 'removed' });
+      } else if (!before[field]) {
+        (!outgoing && after[field].required ? breaking : nonBreaking)
+          .push({ field, change: after[field].required ? 'added (required)' : 'added' });
+      } else if (before[field].type !== after[field].type) {
+        breaking.push({ field, change: `type ${before[field].type} -> ${after[field].type}` });
+      } else {
+        this.compareRules(field, before[field], after[field]).forEach(({ tightened, ...change }) => {
+          (tightened !== outgoing ? breaking : nonBreaking).push(change);
+        });
+      }
+    });
+
+    return {
+      message_type: messageType,
+      direction: contract.direction,
+      from_version: fromVersion,
+      to_version: toVersion,
+      compatible: breaking.length === 0,
+      breaking,
+      non_breaking: nonBreaking
+    };
+  }
+
+  /**
+   * Compatibility of each version with the one before it, for every message type
+   */
+  getCompatibilityReport() {
+    const report = {};
+
+    Object.keys(this.contracts).forEach(messageType => {
+      const versions = this.getVersions(messageType);
+      report[messageType] = versions.slice(1).map((version, i) => this.checkCompatibility(messageType, versions[i], version));
+    });
+
+    return report;
+  }
+
+  /**
+   * Contracts summary for monitoring
+   */
+  getContractsStatus() {
+    const types = {};
+
+    Object.entries(this.contracts).forEach(([messageType, contract]) => {
+      types[messageType] = {
+        direction: contract.direction,
+        versions: this.getVersions(messageType),
+        latest: this.getLatestVersion(messageType)
+      };
+    });
+
+    return { message_types: types, negotiated: Object.fromEntries(this.negotiated) };
+  }
+
+  /**
+   * Export negotiated versions for snapshots
+   */
+  exportState() {
+    return { negotiated: JSON.parse(JSON.stringify(Object.fromEntries(this.negotiated))) };
+  }
+
+  /**
+   * Restore negotiated versions from a snapshot
+   */
+  importState(state) {
+    this.negotiated = new Map(Object.entries(JSON.parse(JSON.stringify(state.negotiated))));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MessageContracts;
+}
@@ -4,14 +4,68 @@
  */
 
 class PriceBroadcaster {
-  constructor(wiringConfig) {
+  constructor(wiringConfig, options = {}) {
     this.config = wiringConfig.wiring_configuration;
     this.broadcastTargets = new Map();
     this.sentUpdates = [];
     this.maxUpdateHistory = 100; // Configurable update history limit
+    this.sendListeners = [];
+    this.signer = null;
+    this.catalogs = new Map();   // target -> versioned catalog state (see broadcastCatalog)
+    this.registry = null;        // RepoRegistry of the sites ALL_REPOS fans out to
+    this.siteTargets = new Map(); // registered site -> { lastSent } for sites that are not configured targets
+    this.contracts = null;       // MessageContracts every update is validated against
+
+    // { now }; the engine passes its own clock so update times and ack timeouts follow replayed time
+    this.clock = options.clock || { now: () => Date.now() };
+
+    // Delivery tracking: every update is pending until its target acks or nacks it
+    const delivery = this.config.delivery || {};
+    this.ackTimeoutMs = delivery.ack_timeout_ms || 30000;
+    this.maxTrackedDeliveries = delivery.max_tracked || 1000;
+    this.messageSeq = 0;
+    this.deliveries = new Map();   // message_id -> { target, signal, sent_at, ack_due_at, state, settled_at, error }
+    this.deliveryStats = {};       // target -> { delivered, failed, last_delivered, last_failure }
     this.setupTargets();
   }
 
+  /**
+   * Sign every outgoing update with a SignalAuth so receivers can verify it
+   */
+  setSigner(signer) {
+    this.signer = signer;
+
+    return {
+      signer_set: true,
+      signs_outgoing: Boolean(signer.signingKey)
+    };
+  }
+
+  /**
+   * Fan ALL_REPOS broadcasts out to the subscribed sites of a RepoRegistry
+   */
+  setRegistry(registry) {
+    this.registry = registry;
+
+    return { registry_set: true, sites: Array.from(registry.sites.keys()) };
+  }
+
+  /**
+   * Validate every update against its message contract at the target's negotiated version
+   */
+  setContracts(contracts) {
+    this.contracts = contracts;
+
+    return { contracts_set: true, message_types: Object.keys(contracts.contracts) };
+  }
+
+  /**
+   * Call a listener with every update sent (e.g. the engine event log)
+   */
+  onSend(listener) {
+    this.sendListeners.push(listener);
+  }
+
   /**
    * Setup broadcast targets based on configuration
    */
@@ -26,27 +80,86 @@ class PriceBroadcaster {
   }
 
   /**
-   * Broadcast price update to a specific target
+   * Send state for a registered site that is not a configured target
    */
-  broadcastUpdate(target, updateData) {
-    const targetConfig = this.broadcastTargets.get(target);
+  getSiteTarget(site) {
+    if (!this.registry || !this.registry.sites.has(site)) {
+      return null;
+    }
+    if (!this.siteTargets.has(site)) {
+      const allRepos = this.broadcastTargets.get('ALL_REPOS');
+      this.siteTargets.set(site, { signal: allRepos ? allRepos.signal : null, frequency: 'fan_out', lastSent: null });
+    }
+    return this.siteTargets.get(site);
+  }
+
+  /**
+   * Broadcast price update to a specific target or registered site
+   * (ALL_REPOS fans out to every subscribed site; options.signal overrides the target's signal)
+   */
+  broadcastUpdate(target, updateData, options = {}) {
+    if (target === 'ALL_REPOS') {
+      return this.fanOut(updateData, options);
+    }
+
+    const targetConfig = this.broadcastTargets.get(target) || this.getSiteTarget(target);
     
     if (!targetConfig) {
       return {
         sent: false,
         error: `Unknown target: ${target}`,
-        available_targets: Array.from(this.broadcastTargets.keys())
+        available_targets: Array.from(this.broadcastTargets.keys()),
+        registered_sites: this.registry ? Array.from(this.registry.sites.keys()) : []
+      };
+    }
+
+    const signal = options.signal || targetConfig.signal;
+
+    // Payloads that break the target's contract version are not sent
+    const contract = this.contracts ? this.contracts.validateOutgoing(target, updateData, signal) : null;
+    if (contract && !contract.valid) {
+      return {
+        sent: false,
+        target,
+        signal,
+        error: contract.error,
+        message_type: contract.message_type,
+        schema_version: contract.schema_version ?? null,
+        validation_errors: contract.validation_errors || []
       };
     }
 
+    const timestamp = this.clock.now();
     const update = {
+      message_id: `msg-${++this.messageSeq}`,
       target,
-      signal: targetConfig.signal,
+      signal,
+      message_type: contract ? contract.message_type : null,
+      schema_version: contract ? contract.schema_version : null,
       data: updateData,
-      timestamp: Date.now(),
+      timestamp,
       frequency: targetConfig.frequency
     };
 
+    // Signed as { source, event: signal, data, timestamp, nonce, schema_version }
+    if (this.signer) {
+      const signed = this.signer.sign({
+        event: update.signal,
+        data: updateData,
+        timestamp: update.timestamp,
+        schema_version: update.schema_version ?? undefined
+      });
+      if (signed.signature) {
+        update.auth = {
+          source: signed.source,
+          nonce: signed.nonce,
+          algorithm: signed.algorithm,
+          signature: signed.signature,
+          signed_by: signed.signed_by
+        };
+      }
+    }
+
     // Record the update
     this.sentUpdates.push(update);
     if (this.sentUpdates.length > this.maxUpdateHistory) {
@@ -55,17 +168,142 @@ class PriceBroadcaster {
 
     // Update last sent timestamp
     targetConfig.lastSent = update.timestamp;
+    this.trackDelivery(update);
+    this.sendListeners.forEach(listener => listener(update));
 
     return {
       sent: true,
+      message_id: update.message_id,
       target,
-      signal: targetConfig.signal,
+      signal,
+      schema_version: update.schema_version,
       timestamp: update.timestamp,
-      delivery: 'via_hydrogen_bond',
+      signed: Boolean(update.auth),
+      delivery: 'pending',
       propagation: 'instant'
     };
   }
 
+  /**
+   * Start tracking an update as pending, expiring overdue ones and forgetting the oldest settled
+   */
+  trackDelivery(update) {
+    this.expireDeliveries(update.timestamp);
+
+    this.deliveries.set(update.message_id, {
+      message_id: update.message_id,
+      target: update.target,
+      signal: update.signal,
+      catalog_version: ['catalog_values', 'catalog_patch'].includes(update.data && update.data.type) ? update.data.version : null,
+      sent_at: update.timestamp,
+      ack_due_at: update.timestamp + this.ackTimeoutMs,
+      state: 'pending',
+      settled_at: null,
+      error: null
+    });
+
+    for (const [messageId, delivery] of this.deliveries) {
+      if (this.deliveries.size <= this.maxTrackedDeliveries) {
+        break;
+      }
+      if (delivery.state !== 'pending') {
+        this.deliveries.delete(messageId);
+      }
+    }
+  }
+
+  /**
+   * Per-target delivery counters
+   */
+  getDeliveryStats(target) {
+    if (!this.deliveryStats[target]) {
+      this.deliveryStats[target] = { delivered: 0, failed: 0, last_delivered: null, last_failure: null };
+    }
+    return this.deliveryStats[target];
+  }
+
+  /**
+   * A target confirmed an update. Late acks of timed-out updates still count as delivered.
+   */
+  acknowledgeUpdate(messageId, time = this.clock.now()) {
+    const delivery = this.deliveries.get(messageId);
+
+    if (!delivery) {
+      return { acknowledged: false, error: `Unknown message: ${messageId}` };
+    }
+    if (delivery.state === 'delivered' || (delivery.state === 'failed' && delivery.error !== 'ack_timeout')) {
+      return { acknowledged: false, error: `Message already ${delivery.state}`, message_id: messageId, state: delivery.state };
+    }
+
+    const stats = this.getDeliveryStats(delivery.target);
+    if (delivery.state === 'failed') {
+      stats.failed--;
+    }
+
+    delivery.late = delivery.state === 'failed';
+    delivery.state = 'delivered';
+    delivery.settled_at = time;
+    delivery.error = null;
+    stats.delivered++;
+    stats.last_delivered = { message_id: messageId, time };
+
+    return { acknowledged: true, message_id: messageId, target: delivery.target, state: delivery.state, late: delivery.late };
+  }
+
+  /**
+   * A target rejected an update, or it could not be delivered
+   */
+  rejectUpdate(messageId, reason = 'rejected', time = this.clock.now()) {
+    const delivery = this.deliveries.get(messageId);
+
+    if (!delivery) {
+      return { rejected: false, error: `Unknown message: ${messageId}` };
+    }
+    if (delivery.state !== 'pending') {
+      return { rejected: false, error: `Message already ${delivery.state}`, message_id: messageId, state: delivery.state };
+    }
+
+    this.failDelivery(delivery, reason, time);
+    return { rejected: true, message_id: messageId, target: delivery.target, state: delivery.state, reason };
+  }
+
+  /**
+   * Mark a delivery failed
+   */
+  failDelivery(delivery, reason, time) {
+    const stats = this.getDeliveryStats(delivery.target);
+
+    delivery.state = 'failed';
+    delivery.settled_at = time;
+    delivery.error = reason;
+    stats.failed++;
+    stats.last_failure = { message_id: delivery.message_id, time, reason };
+  }
+
+  /**
+   * Fail pending updates that were not acknowledged by their ack_due_at
+   */
+  expireDeliveries(now = this.clock.now()) {
+    let expired = 0;
+
+    this.deliveries.forEach(delivery => {
+      if (delivery.state === 'pending' && now > delivery.ack_due_at) {
+        this.failDelivery(delivery, 'ack_timeout', now);
+        expired++;
+      }
+    });
+
+    return { expired };
+  }
+
+  /**
+   * Delivery state of one update
+   */
+  getDelivery(messageId) {
+    const delivery = this.deliveries.get(messageId);
+    return delivery ? { ...delivery } : null;
+  }
+
   /**
    * Broadcast to commerce (updated prices)
    */
@@ -85,6 +323,7 @@ class PriceBroadcaster {
     return this.broadcastUpdate('dash-hub', {
       type: 'market_data',
       alc_value: marketData.current_value,
+      fiat_values: marketData.fiat_values,
       volume: marketData.daily_volume,
       trend: marketData.trend,
       capacitor_charge: marketData.capacitor_charge,
@@ -93,15 +332,223 @@ class PriceBroadcaster {
   }
 
   /**
-   * Broadcast to index-designer (catalog values)
+   * Broadcast to index-designer (catalog values), as a full versioned catalog
    */
   broadcastToIndexDesigner(catalogData) {
-    return this.broadcastUpdate('index-designer', {
-      type: 'catalog_values',
-      items: catalogData.items,
-      alc_prices: catalogData.alc_prices,
-      usd_estimates: catalogData.usd_estimates
+    const catalog = {};
+
+    catalogData.items.forEach((item, i) => {
+      catalog[item] = {
+        alc_price: catalogData.alc_prices[i],
+        usd_estimate: catalogData.usd_estimates[i],
+        fiat_estimates: catalogData.fiat_estimates ? catalogData.fiat_estimates[i] : {}
+      };
+    });
+
+    return this.broadcastCatalog('index-designer', catalog, { forceFull: true });
+  }
+
+  /**
+   * Catalog state for a target: versions sent, the last one it acknowledged and
+   * every catalog sent since (a patch must apply on top of any of them)
+   */
+  getCatalogState(target) {
+    if (!this.catalogs.has(target)) {
+      this.catalogs.set(target, {
+        version: 0,
+        ackedVersion: null,
+        ackedCatalog: null,
+        unacked: [],          // [{ version, catalog }] sent after the acknowledged one
+        fullSends: 0
+      });
+    }
+    return this.catalogs.get(target);
+  }
+
+  /**
+   * Items whose entry differs between a target's acknowledged catalog (or any catalog
+   * sent since) and the new one, split into added, removed and repriced
+   */
+  diffCatalog(target, catalog) {
+    const state = this.getCatalogState(target);
+    const base = state.ackedCatalog;
+    const candidates = [base, ...state.unacked.map(u => u.catalog)];
+    const items = new Set(Object.keys(catalog));
+    candidates.forEach(c => Object.keys(c).forEach(item => items.add(item)));
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const delta = { added: {}, removed: [], repriced: {} };
+
+    items.forEach(item => {
+      const entry = catalog[item];
+      if (candidates.every(c => same(c[item], entry))) {
+        return;
+      }
+
+      if (entry === undefined) {
+        delta.removed.push(item);
+      } else if (base[item] === undefined) {
+        delta.added[item] = entry;
+      } else {
+        delta.repriced[item] = { ...entry, previous_alc_price: base[item].alc_price };
+      }
     });
+
+    return delta;
+  }
+
+  /**
+   * Send a target its catalog ({ item: { alc_price, usd_estimate, fiat_estimates } }):
+   * a versioned patch against what it acknowledged, or the full catalog when it has
+   * acknowledged nothing yet or a resync was requested
+   */
+  broadcastCatalog(target, catalog, options = {}) {
+    const { forceFull = false } = options;
+
+    if (!this.broadcastTargets.has(target)) {
+      return {
+        sent: false,
+        target,
+        error: 'Unknown broadcast target',
+        available_targets: Array.from(this.broadcastTargets.keys())
+      };
+    }
+
+    const state = this.getCatalogState(target);
+    // Sites that negotiated no catalog_patch version always get the full catalog
+    const patches = !this.contracts || this.contracts.supports(target, 'catalog_patch');
+    const full = forceFull || state.ackedCatalog === null || !patches;
+    const lastSent = state.unacked.length > 0 ? state.unacked[state.unacked.length - 1].catalog : state.ackedCatalog;
+    let updateData;
+
+    if (!forceFull && JSON.stringify(lastSent) === JSON.stringify(catalog)) {
+      return { sent: false, target, reason: 'no_catalog_changes', version: state.version };
+    }
+
+    if (full) {
+      const items = Object.keys(catalog);
+      updateData = {
+        type: 'catalog_values',
+        mode: 'full',
+        version: state.version + 1,
+        base_version: null,
+        catalog,
+        items,
+        alc_prices: items.map(item => catalog[item].alc_price),
+        usd_estimates: items.map(item => catalog[item].usd_estimate),
+        fiat_estimates: items.map(item => catalog[item].fiat_estimates)
+      };
+    } else {
+      const delta = this.diffCatalog(target, catalog);
+      const changes = Object.keys(delta.added).length + delta.removed.length + Object.keys(delta.repriced).length;
+
+      if (changes === 0) {
+        return { sent: false, target, reason: 'no_catalog_changes', version: state.version };
+      }
+
+      // Applies on top of the acknowledged version or any version sent since
+      updateData = {
+        type: 'catalog_patch',
+        mode: 'patch',
+        version: state.version + 1,
+        base_version: state.ackedVersion,
+        ...delta
+      };
+    }
+
+    const result = this.broadcastUpdate(target, updateData);
+
+    if (result.sent) {
+      state.version = updateData.version;
+      state.unacked.push({ version: state.version, catalog: JSON.parse(JSON.stringify(catalog)) });
+      if (full) {
+        state.fullSends++;
+      }
+
+      // A target that stops acknowledging gets the full catalog again
+      if (state.unacked.length > this.maxUpdateHistory) {
+        state.ackedVersion = null;
+        state.ackedCatalog = null;
+        state.unacked = state.unacked.slice(-1);
+      }
+    }
+
+    return { ...result, catalog_version: updateData.version, mode: updateData.mode };
+  }
+
+  /**
+   * A target applied a catalog version; later patches are computed against it
+   */
+  acknowledgeCatalog(target, version) {
+    const state = this.getCatalogState(target);
+    const sent = state.unacked.find(u => u.version === version);
+
+    if (!sent) {
+      return {
+        acknowledged: false,
+        error: `Catalog version ${version} is not awaiting acknowledgement`,
+        target,
+        acked_version: state.ackedVersion
+      };
+    }
+
+    state.ackedVersion = version;
+    state.ackedCatalog = sent.catalog;
+    state.unacked = state.unacked.filter(u => u.version > version);
+
+    return { acknowledged: true, target, acked_version: version, unacked_versions: state.unacked.map(u => u.version) };
+  }
+
+  /**
+   * A target missed a version: forget what it acknowledged and resend the latest catalog in full
+   */
+  reportCatalogGap(target, haveVersion = null) {
+    const state = this.getCatalogState(target);
+    const latest = state.unacked.length > 0 ? state.unacked[state.unacked.length - 1].catalog : state.ackedCatalog;
+
+    state.ackedVersion = null;
+    state.ackedCatalog = null;
+    state.unacked = [];
+
+    if (!latest) {
+      return { sent: false, target, reason: 'no_catalog_sent_yet', have_version: haveVersion };
+    }
+
+    return { ...this.broadcastCatalog(target, latest, { forceFull: true }), gap_from_version: haveVersion };
+  }
+
+  /**
+   * Send one update to every registered site subscribed to the signal (ALL_REPOS's
+   * by default), each with its own message ID and result. options.exclude skips
+   * sites that were already sent the update directly.
+   */
+  fanOut(updateData, options = {}) {
+    const allRepos = this.broadcastTargets.get('ALL_REPOS');
+    const { signal = allRepos ? allRepos.signal : 'price_changes', exclude = [] } = options;
+    const sites = this.registry
+      ? this.registry.getSubscribers(signal).map(site => site.name).filter(site => !exclude.includes(site))
+      : [];
+
+    if (sites.length === 0) {
+      return { sent: false, target: 'ALL_REPOS', signal, reason: 'no_subscribed_sites', fan_out: true, sites, results: [] };
+    }
+
+    const results = sites.map(site => this.broadcastUpdate(site, updateData, { signal }));
+    const sent = results.filter(r => r.sent);
+
+    if (allRepos && sent.length > 0) {
+      allRepos.lastSent = Math.max(...sent.map(r => r.timestamp));
+    }
+
+    return {
+      sent: sent.length > 0,
+      target: 'ALL_REPOS',
+      signal,
+      fan_out: true,
+      sites,
+      sites_sent: sent.length,
+      results
+    };
   }
 
   /**
@@ -127,7 +574,7 @@ class PriceBroadcaster {
       return { sent: false, error: 'Unknown target' };
     }
 
-    const now = Date.now();
+    const now = this.clock.now();
     const timeSinceLastSent = targetConfig.lastSent 
       ? now - targetConfig.lastSent 
       : Infinity;
@@ -143,6 +590,10 @@ class PriceBroadcaster {
         shouldSend = shouldSend || timeSinceLastSent > 5 * 60 * 1000;
         break;
       case 'on_change':
+        // Catalogs decide for themselves: they send only when the diff is not empty
+        if (data.catalog) {
+          return this.broadcastCatalog(target, data.catalog, { forceFull: forceUpdate });
+        }
         shouldSend = shouldSend || data.hasChanged;
         break;
       case 'on_significant_change':
@@ -186,50 +637,87 @@ class PriceBroadcaster {
       };
     }
 
-    // Trigger domino effect - cascade to all targets
-    const results = [];
-    
-    this.broadcastTargets.forEach((config, target) => {
-      const result = this.broadcastUpdate(target, {
-        cascaded_update: true,
-        original_price: originalPrice,
-        new_price: newPrice,
-        change_percent: changePercent,
-        reason,
-        domino_effect: this.config.domino_effect.cascade
-      });
-      results.push(result);
-    });
+    // Trigger domino effect - cascade to every configured target, then to the
+    // subscribed sites that are not configured targets
+    const cascadeData = {
+      type: 'price_cascade',
+      cascaded_update: true,
+      original_price: originalPrice,
+      new_price: newPrice,
+      change_percent: changePercent,
+      reason,
+      domino_effect: this.config.domino_effect.cascade
+    };
+    const targets = Array.from(this.broadcastTargets.keys()).filter(target => target !== 'ALL_REPOS');
+    const results = targets.map(target => this.broadcastUpdate(target, cascadeData));
+    const fanOut = this.fanOut(cascadeData, { exclude: targets });
 
     return {
       cascade_triggered: true,
       threshold_exceeded: true,
-      targets_updated: results.length,
-      results,
+      targets_updated: results.length + fanOut.results.length,
+      results: results.concat(fanOut.results),
+      sites: fanOut.sites,
       domino_effect: 'price_adjusts_cascade_everywhere'
     };
   }
 
   /**
-   * Get broadcast status
+   * Get broadcast status (overdue deliveries are expired first)
    */
-  getBroadcastStatus() {
+  getBroadcastStatus(now = this.clock.now()) {
+    this.expireDeliveries(now);
+
     const targetStats = {};
-    
+    const pending = Array.from(this.deliveries.values()).filter(d => d.state === 'pending');
+
     this.broadcastTargets.forEach((config, target) => {
       const targetUpdates = this.sentUpdates.filter(u => u.target === target);
+      const delivery = this.getDeliveryStats(target);
+      const catalog = this.catalogs.get(target);
       targetStats[target] = {
         signal: config.signal,
         frequency: config.frequency,
         last_sent: config.lastSent,
-        total_sent: targetUpdates.length
+        total_sent: targetUpdates.length,
+        unacknowledged: pending.filter(d => d.target === target).length,
+        delivered: delivery.delivered,
+        failed: delivery.failed,
+        last_delivered: delivery.last_delivered,
+        last_failure: delivery.last_failure,
+        catalog: catalog ? {
+          version: catalog.version,
+          acked_version: catalog.ackedVersion,
+          unacked_versions: catalog.unacked.map(u => u.version),
+          full_sends: catalog.fullSends
+        } : null
+      };
+    });
+
+    // Registered sites that are only reached through fan-out
+    const siteStats = {};
+    this.siteTargets.forEach((config, site) => {
+      const delivery = this.getDeliveryStats(site);
+      siteStats[site] = {
+        registered: Boolean(this.registry && this.registry.sites.has(site)),
+        last_sent: config.lastSent,
+        total_sent: this.sentUpdates.filter(u => u.target === site).length,
+        unacknowledged: pending.filter(d => d.target === site).length,
+        delivered: delivery.delivered,
+        failed: delivery.failed,
+        last_delivered: delivery.last_delivered,
+        last_failure: delivery.last_failure
       };
     });
 
     return {
       active_targets: this.broadcastTargets.size,
       total_updates_sent: this.sentUpdates.length,
+      unacknowledged: pending.length,
+      ack_timeout_ms: this.ackTimeoutMs,
       target_statistics: targetStats,
+      site_statistics: siteStats,
+      registered_sites: this.registry ? Array.from(this.registry.sites.keys()) : [],
       hydrogen_bonds: this.config.hydrogen_bonds.enabled ? 'active' : 'inactive',
       propagation_speed: this.config.hydrogen_bonds.propagation_speed,
       status: 'broadcasting_updates'
@@ -246,6 +734,56 @@ class PriceBroadcaster {
       active_targets: Array.from(this.broadcastTargets.keys())
     };
   }
+
+  /**
+   * Export target timestamps, sent updates and catalog versions for snapshots
+   */
+  exportState() {
+    const lastSent = {};
+    this.broadcastTargets.forEach((config, target) => {
+      lastSent[target] = config.lastSent;
+    });
+    this.siteTargets.forEach((config, site) => {
+      lastSent[site] = config.lastSent;
+    });
+
+    return {
+      last_sent: lastSent,
+      sent_updates: this.sentUpdates.slice(),
+      message_seq: this.messageSeq,
+      deliveries: Array.from(this.deliveries.values()).map(d => ({ ...d })),
+      delivery_stats: JSON.parse(JSON.stringify(this.deliveryStats)),
+      catalogs: JSON.parse(JSON.stringify(Object.fromEntries(this.catalogs)))
+    };
+  }
+
+  /**
+   * Restore target timestamps and sent updates from a snapshot. Pending deliveries get
+   * at least a full ack timeout from the restore time rather than expiring at once.
+   */
+  importState(state, time = this.clock.now()) {
+    const allRepos = this.broadcastTargets.get('ALL_REPOS');
+    this.siteTargets = new Map();
+    Object.entries(state.last_sent).forEach(([target, lastSent]) => {
+      const targetConfig = this.broadcastTargets.get(target);
+      if (targetConfig) {
+        targetConfig.lastSent = lastSent;
+      } else {
+        this.siteTargets.set(target, { signal: allRepos ? allRepos.signal : null, frequency: 'fan_out', lastSent });
+      }
+    });
+    this.sentUpdates = state.sent_updates.slice();
+    this.catalogs = new Map(Object.entries(JSON.parse(JSON.stringify(state.catalogs))));
+    this.messageSeq = state.message_seq;
+    this.deliveries = new Map(state.deliveries.map(d => {
+      const delivery = { ...d, ack_due_at: d.ack_due_at ?? d.sent_at + this.ackTimeoutMs };
+      if (delivery.state === 'pending') {
+        delivery.ack_due_at = Math.max(delivery.ack_due_at, time + this.ackTimeoutMs);
+      }
+      return [delivery.message_id, delivery];
+    }));
+    this.deliveryStats = JSON.parse(JSON.stringify(state.delivery_stats));
+  }
 }
 
 // Export for use in other modules
@@ -9,9 +9,162 @@ class PriceReceiver {
     this.signalHandlers = new Map();
     this.receivedSignals = [];
     this.maxSignalHistory = 100; // Configurable signal history limit
+    this.handlerRegistry = new Map();
+    this.middleware = [];
+    this.auth = null;
+    // Message contracts hold the payload schemas and the one validator for them;
+    // the engine shares its own through setContracts
+    const Contracts = typeof MessageContracts !== 'undefined' ? MessageContracts : require('./message-contracts');
+    this.contracts = new Contracts();
+    this.registerBuiltInHandlers();
     this.setupHandlers();
   }
 
+  /**
+   * Register the built-in handlers (their events' payloads are checked against the
+   * message contracts when received)
+   */
+  registerBuiltInHandlers() {
+    this.registerHandler('updatePriceOnPurchase', data => this.updatePriceOnPurchase(data));
+    this.registerHandler('calculateArtPrice', data => this.calculateArtPrice(data));
+    this.registerHandler('mintTokenPrice', data => this.mintTokenPrice(data));
+    this.registerHandler('adjustMarketForces', data => this.adjustMarketForces(data));
+    this.registerHandler('updateFiatRates', data => this.updateFiatRates(data));
+  }
+
+  /**
+   * Register a signal handler by name (sync or async)
+   */
+  registerHandler(name, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      return { registered: false, error: `Handler ${name} must be a function` };
+    }
+
+    this.handlerRegistry.set(name, {
+      handler,
+      schema: options.schema || null
+    });
+
+    return {
+      registered: true,
+      handler: name,
+      validates_payload: Boolean(options.schema)
+    };
+  }
+
+  /**
+   * Remove a registered handler
+   */
+  unregisterHandler(name) {
+    return {
+      unregistered: this.handlerRegistry.delete(name),
+      handler: name
+    };
+  }
+
+  /**
+   * Route a source/event pair to a registered handler
+   */
+  registerSignal(source, event, handlerName) {
+    if (!this.handlerRegistry.has(handlerName)) {
+      return {
+        registered: false,
+        error: `Unknown handler: ${handlerName}`,
+        available_handlers: this.getHandlerNames()
+      };
+    }
+
+    this.signalHandlers.set(`${source}:${event}`, handlerName);
+
+    return {
+      registered: true,
+      signal: `${source}:${event}`,
+      handler: handlerName
+    };
+  }
+
+  /**
+   * Names of all registered handlers
+   */
+  getHandlerNames() {
+    return Array.from(this.handlerRegistry.keys());
+  }
+
+  /**
+   * Add middleware that runs around every handler: (context, next) => result
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+
+    return {
+      middleware_added: true,
+      middleware_count: this.middleware.length
+    };
+  }
+
+  /**
+   * Verify every incoming signal with a SignalAuth before it reaches a handler
+   */
+  setAuthenticator(auth) {
+    this.auth = auth;
+
+    return {
+      authenticator_set: true,
+      signatures_required: auth.required
+    };
+  }
+
+  /**
+   * Check received payloads against their event's message contract
+   */
+  setContracts(contracts) {
+    this.contracts = contracts;
+
+    return {
+      contracts_set: true,
+      incoming_types: Object.keys(contracts.contracts).filter(type => contracts.contracts[type].direction === 'incoming')
+    };
+  }
+
+  /**
+   * Run a handler inside the middleware chain
+   */
+  runHandler(handlerName, signal) {
+    const entry = this.handlerRegistry.get(handlerName);
+
+    if (!entry) {
+      return { error: 'Handler not implemented' };
+    }
+
+    if (entry.schema) {
+      const errors = this.contracts.validate(signal.data, entry.schema);
+      if (errors.length > 0) {
+        return {
+          error: 'Invalid payload',
+          handler: handlerName,
+          validation_errors: errors
+        };
+      }
+    }
+
+    const context = {
+      signal,
+      handler: handlerName,
+      data: signal.data,
+      receiver: this
+    };
+
+    // First registered middleware is outermost
+    const dispatch = index => {
+      if (index === this.middleware.length) {
+        return entry.handler(context.data, context);
+      }
+      return this.middleware[index](context, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  }
+
   /**
    * Setup signal handlers based on configuration
    */
@@ -24,8 +177,20 @@ class PriceReceiver {
   /**
    * Receive a signal from another website
    */
-  receiveSignal(signal) {
-    const { source, event, data, timestamp = Date.now() } = signal;
+  receiveSignal(signal, receivedAt = Date.now()) {
+    const { source, event, data, timestamp = receivedAt } = signal;
+
+    // Signature, timestamp window and nonce are checked before anything else
+    const auth = this.auth ? this.auth.verifySignal(signal, receivedAt) : null;
+    if (auth && !auth.accepted) {
+      return {
+        received: false,
+        error: `Signal rejected: ${auth.reason}`,
+        source,
+        event,
+        auth
+      };
+    }
     
     const handlerKey = `${source}:${event}`;
     const handlerName = this.signalHandlers.get(handlerKey);
@@ -38,13 +203,30 @@ class PriceReceiver {
       };
     }
 
+    // The payload must match the event's contract at the declared or negotiated version
+    const contract = this.contracts.validateIncoming(source, event, data, signal.schema_version ?? null);
+    if (!contract.valid) {
+      return {
+        received: false,
+        error: `Signal rejected: ${contract.error}`,
+        source,
+        event,
+        schema_version: contract.schema_version,
+        validation_errors: contract.validation_errors || [],
+        supported_versions: contract.supported_versions || null
+      };
+    }
+    const schemaVersion = contract.schema_version;
+
     // Record the signal
     this.receivedSignals.push({
       source,
       event,
       data,
       timestamp,
-      handler: handlerName
+      handler: handlerName,
+      schema_version: schemaVersion,
+      verified: auth ? auth.verified : false
     });
 
     // Keep only last N signals
@@ -58,6 +240,8 @@ class PriceReceiver {
       event,
       handler: handlerName,
       timestamp,
+      schema_version: schemaVersion,
+      verified: auth ? auth.verified : false,
       status: 'signal_received_via_hydrogen_bond'
     };
   }
@@ -66,12 +250,13 @@ class PriceReceiver {
    * Handle commerce purchase signal
    */
   updatePriceOnPurchase(purchaseData) {
-    const { item, quantity, price, user } = purchaseData;
+    const { item, quantity, price, user, quote_id: quoteId } = purchaseData;
 
     return {
       handler: 'updatePriceOnPurchase',
       action: 'discharge_capacitor',
       purchase_item: item,
+      quote_id: quoteId || null,
       quantity,
       price_paid: price,
       market_impact: 'supply_decreased',
@@ -130,41 +315,57 @@ class PriceReceiver {
     };
   }
 
+  /**
+   * Handle fiat exchange rate signal
+   */
+  updateFiatRates(rateData) {
+    const { rates, updated } = rateData;
+
+    return {
+      handler: 'updateFiatRates',
+      action: 'update_fiat_rates',
+      currencies: Object.keys(rates),
+      rates_updated: updated || null
+    };
+  }
+
   /**
    * Process a signal with its appropriate handler
    */
-  processSignal(signal) {
-    const received = this.receiveSignal(signal);
+  processSignal(signal, receivedAt = Date.now()) {
+    const received = this.receiveSignal(signal, receivedAt);
     
     if (!received.received) {
       return received;
     }
 
-    // Execute the handler
+    // Execute the handler (async handlers and middleware yield a Promise)
     let result;
-    switch (received.handler) {
-      case 'updatePriceOnPurchase':
-        result = this.updatePriceOnPurchase(signal.data);
-        break;
-      case 'calculateArtPrice':
-        result = this.calculateArtPrice(signal.data);
-        break;
-      case 'mintTokenPrice':
-        result = this.mintTokenPrice(signal.data);
-        break;
-      case 'adjustMarketForces':
-        result = this.adjustMarketForces(signal.data);
-        break;
-      default:
-        result = { error: 'Handler not implemented' };
+    try {
+      result = this.runHandler(received.handler, signal);
+    } catch (error) {
+      result = { error: error.message };
     }
 
-    return {
+    const envelope = handlerResult => ({
       signal_received: received,
-      handler_result: result,
+      handler_result: handlerResult,
       hydrogen_bond: 'active',
       propagation: 'instant'
-    };
+    });
+
+    if (result && typeof result.then === 'function') {
+      return result.then(envelope, error => envelope({ error: error.message }));
+    }
+
+    return envelope(result);
+  }
+
+  /**
+   * Process a signal, always resolving asynchronously
+   */
+  async processSignalAsync(signal, receivedAt = Date.now()) {
+    return this.processSignal(signal, receivedAt);
   }
 
   /**
@@ -193,6 +394,22 @@ class PriceReceiver {
       status: 'receiving_signals'
     };
   }
+
+  /**
+   * Export received signals for snapshots
+   */
+  exportState() {
+    return {
+      received_signals: this.receivedSignals.slice()
+    };
+  }
+
+  /**
+   * Restore received signals from a snapshot
+   */
+  importState(state) {
+    this.receivedSignals = state.received_signals.slice();
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,327 @@
+/**
+ * Price Records Module
+ * Vector-clock versioned price records for bidirectional bonds, merged field by field
+ */
+
+class PriceRecords {
+  constructor(wiringConfig, nodeId, options = {}) {
+    const resolution = wiringConfig.wiring_configuration.conflict_resolution || {};
+
+    this.nodeId = nodeId;
+    this.authority = options.authority || nodeId;
+    this.defaultPolicy = resolution.default_policy || 'last_writer_wins';
+    this.fieldPolicies = { ...(resolution.field_policies || {}) };
+    this.maxConflicts = resolution.max_conflicts || 500;
+    this.records = new Map();   // key -> { key, version, fields, seq }
+    this.seq = 0;               // Local change counter; bonds remember how far they have synced
+    this.conflicts = [];
+    this.conflictCount = 0;
+    this.conflictListeners = [];
+  }
+
+  /**
+   * Merge policy for a field: engine_authoritative (only the authority's writes count),
+   * last_writer_wins or max
+   */
+  getPolicy(field) {
+    return this.fieldPolicies[field] || this.defaultPolicy;
+  }
+
+  /**
+   * Call listener(conflict) for every conflict detected
+   */
+  onConflict(listener) {
+    this.conflictListeners.push(listener);
+  }
+
+  /**
+   * Write fields locally, advancing this node's clock
+   */
+  update(key, values, time = Date.now()) {
+    const record = this.records.get(key) || { key, version: {}, fields: {}, seq: 0 };
+    const changed = Object.keys(values).filter(field =>
+      !record.fields[field] || record.fields[field].value !== values[field]
+    );
+
+    if (changed.length === 0) {
+      return { updated: false, key, version: { ...record.version } };
+    }
+
+    changed.forEach(field => {
+      record.fields[field] = { value: values[field], updated_at: time, updated_by: this.nodeId };
+    });
+    record.version[this.nodeId] = (record.version[this.nodeId] || 0) + 1;
+    record.seq = ++this.seq;
+    this.records.set(key, record);
+
+    return { updated: true, key, fields: changed, version: { ...record.version } };
+  }
+
+  /**
+   * Order of version a relative to b: 'equal', 'before', 'after' or 'concurrent'
+   */
+  compareVersions(a, b) {
+    let aAhead = false;
+    let bAhead = false;
+
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(node => {
+      const countA = a[node] || 0;
+      const countB = b[node] || 0;
+      if (countA > countB) aAhead = true;
+      if (countB > countA) bAhead = true;
+    });
+
+    if (aAhead && bAhead) return 'concurrent';
+    if (aAhead) return 'after';
+    if (bAhead) return 'before';
+    return 'equal';
+  }
+
+  /**
+   * Pointwise maximum of two versions
+   */
+  mergeVersions(a, b) {
+    const merged = { ...a };
+    Object.entries(b).forEach(([node, count]) => {
+      merged[node] = Math.max(merged[node] || 0, count);
+    });
+    return merged;
+  }
+
+  /**
+   * Merge a record received from a peer (from: the node at the other end of the bond it
+   * arrived over). Records this node has already seen are ignored, so updates do not
+   * ping-pong; a merge that keeps any local value advances this node's clock so the peer
+   * receives the resolution.
+   */
+  merge(remote, time = Date.now(), from = null) {
+    if (!remote || !remote.key || !remote.version || !remote.fields) {
+      return { merged: false, error: 'Record needs key, version and fields' };
+    }
+
+    const local = this.records.get(remote.key);
+    const order = local ? this.compareVersions(remote.version, local.version) : 'after';
+
+    if (order === 'equal' || order === 'before') {
+      return { merged: false, key: remote.key, outcome: 'stale' };
+    }
+
+    const record = local
+      ? { ...local, fields: { ...local.fields } }
+      : { key: remote.key, version: {}, fields: {}, seq: 0 };
+    const conflicts = [];
+    let keptLocal = false;
+    let changed = false;
+
+    new Set([...Object.keys(record.fields), ...Object.keys(remote.fields)]).forEach(field => {
+      const mine = record.fields[field];
+      const theirs = remote.fields[field];
+
+      if (!theirs || (mine && mine.value === theirs.value)) {
+        keptLocal = keptLocal || Boolean(mine && !theirs);
+        return;
+      }
+
+      const resolved = this.resolveField(field, mine, theirs, order === 'concurrent', from === this.authority);
+
+      if (resolved.conflict) {
+        conflicts.push(this.recordConflict(remote.key, field, mine, theirs, resolved, time));
+      }
+
+      if (resolved.winner === 'remote') {
+        record.fields[field] = { ...theirs };
+        changed = true;
+      } else if (mine) {
+        keptLocal = true;
+      }
+    });
+
+    record.version = this.mergeVersions(record.version, remote.version);
+    if (keptLocal) {
+      record.version[this.nodeId] = (record.version[this.nodeId] || 0) + 1;
+    }
+    if (changed || keptLocal || !local) {
+      record.seq = ++this.seq;
+    }
+    this.records.set(remote.key, record);
+
+    return {
+      merged: true,
+      key: remote.key,
+      outcome: order === 'concurrent' ? 'concurrent' : 'applied',
+      conflicts,
+      rebroadcast: keptLocal
+    };
+  }
+
+  /**
+   * Decide one field between the local and remote write (remoteAuthoritative: the
+   * record came over the bond with the authority)
+   */
+  resolveField(field, mine, theirs, concurrent, remoteAuthoritative = false) {
+    const policy = this.getPolicy(field);
+
+    // Authority comes from the bond, never from updated_by, which the sender writes itself
+    if (policy === 'engine_authoritative') {
+      const localAuthoritative = Boolean(mine) && mine.updated_by === this.authority;
+
+      if (remoteAuthoritative && !localAuthoritative) {
+        return { policy, winner: 'remote', conflict: false };
+      }
+      if (!remoteAuthoritative) {
+        return { policy, winner: 'local', conflict: true, reason: 'non_authoritative_write' };
+      }
+    }
+
+    if (!mine) {
+      return { policy, winner: 'remote', conflict: false };
+    }
+
+    if (policy === 'max') {
+      return {
+        policy,
+        winner: theirs.value > mine.value ? 'remote' : 'local',
+        conflict: concurrent,
+        reason: 'concurrent_update'
+      };
+    }
+
+    // A causally newer write wins outright; concurrent ones by time, then node ID
+    if (!concurrent) {
+      return { policy, winner: 'remote', conflict: false };
+    }
+
+    const remoteNewer = theirs.updated_at !== mine.updated_at
+      ? theirs.updated_at > mine.updated_at
+      : String(theirs.updated_by) > String(mine.updated_by);
+
+    return { policy, winner: remoteNewer ? 'remote' : 'local', conflict: true, reason: 'concurrent_update' };
+  }
+
+  /**
+   * Keep a conflict for review and notify listeners
+   */
+  recordConflict(key, field, mine, theirs, resolved, time) {
+    this.conflictCount++;
+
+    const conflict = {
+      id: `conflict-${time}-${this.conflictCount}`,
+      key,
+      field,
+      policy: resolved.policy,
+      reason: resolved.reason,
+      local: mine ? { ...mine } : null,
+      remote: { ...theirs },
+      winner: resolved.winner,
+      resolved_value: resolved.winner === 'remote' ? theirs.value : (mine ? mine.value : null),
+      detected_at: time,
+      reviewed: false
+    };
+
+    this.conflicts.push(conflict);
+    if (this.conflicts.length > this.maxConflicts) {
+      this.conflicts.shift();
+    }
+
+    this.conflictListeners.forEach(listener => listener(conflict));
+    return conflict;
+  }
+
+  /**
+   * Conflicts kept for review ({ key, unreviewed })
+   */
+  getConflicts(options = {}) {
+    const { key = null, unreviewed = false } = options;
+
+    return this.conflicts
+      .filter(c => (!key || c.key === key) && (!unreviewed || !c.reviewed))
+      .map(c => ({ ...c }));
+  }
+
+  /**
+   * Mark a conflict as reviewed
+   */
+  reviewConflict(conflictId, note = null) {
+    const conflict = this.conflicts.find(c => c.id === conflictId);
+
+    if (!conflict) {
+      return { reviewed: false, error: 'Conflict not found', conflict_id: conflictId };
+    }
+
+    conflict.reviewed = true;
+    conflict.review_note = note;
+    return { reviewed: true, conflict_id: conflictId };
+  }
+
+  /**
+   * A record's current values and version
+   */
+  getRecord(key) {
+    const record = this.records.get(key);
+
+    if (!record) {
+      return null;
+    }
+
+    return {
+      key,
+      version: { ...record.version },
+      values: Object.fromEntries(Object.entries(record.fields).map(([field, f]) => [field, f.value]))
+    };
+  }
+
+  /**
+   * Records changed after a local sequence number, in wire format
+   */
+  getRecordsSince(seq) {
+    return Array.from(this.records.values())
+      .filter(record => record.seq > seq)
+      .map(record => ({
+        key: record.key,
+        version: { ...record.version },
+        fields: JSON.parse(JSON.stringify(record.fields))
+      }));
+  }
+
+  /**
+   * Records summary for monitoring
+   */
+  getRecordsStatus() {
+    return {
+      node_id: this.nodeId,
+      authority: this.authority,
+      records: this.records.size,
+      default_policy: this.defaultPolicy,
+      field_policies: { ...this.fieldPolicies },
+      conflicts: this.conflictCount,
+      unreviewed_conflicts: this.conflicts.filter(c => !c.reviewed).length
+    };
+  }
+
+  /**
+   * Export records and conflicts for snapshots
+   */
+  exportState() {
+    return {
+      seq: this.seq,
+      records: JSON.parse(JSON.stringify(Array.from(this.records.values()))),
+      conflicts: this.conflicts.map(c => ({ ...c })),
+      conflict_count: this.conflictCount
+    };
+  }
+
+  /**
+   * Restore records and conflicts from a snapshot
+   */
+  importState(state) {
+    this.seq = state.seq;
+    this.records = new Map(state.records.map(record => [record.key, JSON.parse(JSON.stringify(record))]));
+    this.conflicts = state.conflicts.map(c => ({ ...c }));
+    this.conflictCount = state.conflict_count;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PriceRecords;
+}
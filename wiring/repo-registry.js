@@ -0,0 +1,192 @@
+/**
+ * Repo Registry Module
+ * The Infinity sites that receive fan-out broadcasts: each site's endpoint, the
+ * signal types it subscribes to, the capabilities it declares and the message
+ * contract versions it supports
+ */
+
+class RepoRegistry {
+  constructor(wiringConfig) {
+    // A site subscribes to any signal the engine sends, or '*' for all of them
+    this.signals = Array.from(new Set(wiringConfig.wiring_configuration.sends_updates.map(t => t.signal)));
+    this.sites = new Map();   // name -> { name, endpoint, subscriptions, capabilities, schemas, registered_at }
+    this.source = null;
+  }
+
+  /**
+   * Problems with a site entry ({ name, endpoint, subscriptions, capabilities, schemas })
+   */
+  validateSite(site) {
+    const errors = [];
+    const label = site && site.name ? site.name : '(unnamed site)';
+
+    if (!site || typeof site.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(site.name)) {
+      errors.push(`${label}: name must be letters, digits, '-' or '_'`);
+    }
+    if (site && site.name === 'ALL_REPOS') {
+      errors.push('ALL_REPOS: reserved for fan-out broadcasts');
+    }
+    if (!site || typeof site.endpoint !== 'string' || !/^(https?|wss?):\/\/\S+$/.test(site.endpoint)) {
+      errors.push(`${label}: endpoint must be an http(s) or ws(s) URL`);
+    }
+    if (!site || !Array.isArray(site.subscriptions) || site.subscriptions.length === 0) {
+      errors.push(`${label}: subscriptions must list at least one signal`);
+    } else {
+      site.subscriptions
+        .filter(signal => signal !== '*' && !this.signals.includes(signal))
+        .forEach(signal => errors.push(`${label}: unknown signal ${signal} (expected ${this.signals.join(', ')} or *)`));
+    }
+    if (site && site.capabilities !== undefined &&
+        (!Array.isArray(site.capabilities) || site.capabilities.some(c => typeof c !== 'string' || c === ''))) {
+      errors.push(`${label}: capabilities must be a list of names`);
+    }
+    if (site && site.schemas !== undefined && (
+      !site.schemas || typeof site.schemas !== 'object' || Array.isArray(site.schemas) ||
+      Object.values(site.schemas).some(v => !Array.isArray(v) || v.some(n => !Number.isInteger(n) || n < 1))
+    )) {
+      errors.push(`${label}: schemas must map message types to lists of supported versions`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Add a site, or replace the entry of a site with the same name
+   */
+  registerSite(site, time = Date.now()) {
+    const errors = this.validateSite(site);
+
+    if (errors.length > 0) {
+      return { registered: false, error: 'Invalid site', errors };
+    }
+
+    const replaced = this.sites.has(site.name);
+    this.sites.set(site.name, {
+      name: site.name,
+      endpoint: site.endpoint,
+      subscriptions: site.subscriptions.slice(),
+      capabilities: (site.capabilities || []).slice(),
+      schemas: site.schemas ? JSON.parse(JSON.stringify(site.schemas)) : null,
+      registered_at: time
+    });
+
+    return { registered: true, site: site.name, replaced, subscriptions: site.subscriptions.slice() };
+  }
+
+  /**
+   * Remove a site; it receives no further fan-out broadcasts
+   */
+  unregisterSite(name) {
+    if (!this.sites.has(name)) {
+      return { unregistered: false, error: `Unknown site: ${name}`, sites: Array.from(this.sites.keys()) };
+    }
+
+    this.sites.delete(name);
+    return { unregistered: true, site: name };
+  }
+
+  /**
+   * Replace the registry with a site list ({ sites: [...] }); nothing changes if any entry is invalid
+   */
+  load(registry, source = 'registry', time = Date.now()) {
+    const sites = registry && Array.isArray(registry.sites) ? registry.sites : null;
+
+    if (!sites) {
+      return { loaded: false, error: 'Registry needs a sites list', errors: ['sites: expected a list'] };
+    }
+
+    const names = sites.map(site => site && site.name);
+    const errors = sites.flatMap(site => this.validateSite(site));
+    names
+      .filter((name, i) => name && names.indexOf(name) !== i)
+      .forEach(name => errors.push(`${name}: listed more than once`));
+
+    if (errors.length > 0) {
+      return { loaded: false, error: 'Invalid repo registry', errors };
+    }
+
+    this.sites = new Map();
+    sites.forEach(site => this.registerSite(site, time));
+    this.source = source;
+
+    return { loaded: true, sites: names, source };
+  }
+
+  /**
+   * Load the registry from a local JSON file (Node only)
+   */
+  loadFromFile(filePath, time = Date.now()) {
+    const fs = require('fs');
+
+    try {
+      return this.load(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath, time);
+    } catch (error) {
+      return { loaded: false, error: `Could not read repo registry: ${error.message}` };
+    }
+  }
+
+  /**
+   * A site's entry, or null
+   */
+  getSite(name) {
+    const site = this.sites.get(name);
+    return site ? JSON.parse(JSON.stringify(site)) : null;
+  }
+
+  /**
+   * Sites subscribed to a signal, in registration order
+   */
+  getSubscribers(signal) {
+    return Array.from(this.sites.values())
+      .filter(site => site.subscriptions.includes(signal) || site.subscriptions.includes('*'))
+      .map(site => this.getSite(site.name));
+  }
+
+  /**
+   * Whether a registered site declares a capability
+   */
+  hasCapability(name, capability) {
+    const site = this.sites.get(name);
+    return Boolean(site) && site.capabilities.includes(capability);
+  }
+
+  /**
+   * Registry summary for monitoring
+   */
+  getRegistryStatus() {
+    const subscribers = {};
+
+    this.signals.forEach(signal => {
+      subscribers[signal] = this.getSubscribers(signal).map(site => site.name);
+    });
+
+    return {
+      source: this.source,
+      sites: Array.from(this.sites.keys()),
+      subscribers
+    };
+  }
+
+  /**
+   * Export registered sites for snapshots
+   */
+  exportState() {
+    return {
+      source: this.source,
+      sites: Array.from(this.sites.values()).map(site => this.getSite(site.name))
+    };
+  }
+
+  /**
+   * Restore registered sites from a snapshot
+   */
+  importState(state) {
+    this.source = state.source;
+    this.sites = new Map(state.sites.map(site => [site.name, { schemas: null, ...JSON.parse(JSON.stringify(site)) }]));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RepoRegistry;
+}
@@ -0,0 +1,224 @@
+/**
+ * Signal Auth Module
+ * Signs outgoing updates and verifies incoming signals (HMAC shared secrets or Ed25519 key pairs)
+ */
+
+class SignalAuth {
+  constructor(wiringConfig, keys = {}, options = {}) {
+    const auth = wiringConfig.wiring_configuration.signal_auth || {};
+
+    // Signatures are required unless a config opts out with required: false (local development)
+    this.required = auth.required !== false;
+    this.timestampWindowMs = auth.timestamp_window_ms || 5 * 60 * 1000;
+    this.identity = options.identity || 'PRICE_ORACLE';
+    this.crypto = options.crypto || (typeof require !== 'undefined' ? require('crypto') : null);
+    this.sourceKeys = new Map();
+    this.signingKey = keys.signing || null;   // { secret } or { private_key }
+    this.seenNonces = new Map();              // `${source}:${nonce}` -> expiry time
+    this.rejections = {};
+
+    Object.entries(keys.sources || {}).forEach(([source, key]) => this.addSourceKey(source, key));
+  }
+
+  /**
+   * Trust a source: { secret } for HMAC-SHA256 or { public_key } (PEM) for Ed25519
+   */
+  addSourceKey(source, key) {
+    if (!key || (!key.secret && !key.public_key)) {
+      return { added: false, error: `Key for ${source} needs a secret or a public_key` };
+    }
+
+    this.sourceKeys.set(source, key);
+
+    return { added: true, source, algorithm: key.secret ? 'hmac-sha256' : 'ed25519' };
+  }
+
+  /**
+   * Stop trusting a source
+   */
+  removeSourceKey(source) {
+    return { removed: this.sourceKeys.delete(source), source };
+  }
+
+  /**
+   * JSON with sorted keys, so both sides sign the same bytes
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(v => this.canonicalize(v)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(k => value[k] !== undefined)
+        .map(k => `${JSON.stringify(k)}:${this.canonicalize(value[k])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * The string a signature covers; schema_version is signed so a payload cannot be
+   * replayed against a different contract version
+   */
+  signingPayload(message) {
+    const { source, event, timestamp, nonce, schema_version: schemaVersion, data } = message;
+    return [source, event, timestamp, nonce, schemaVersion ?? '', this.canonicalize(data ?? null)].join('\n');
+  }
+
+  /**
+   * Sign a message { source, event, data, timestamp, schema_version } with a key
+   */
+  signWith(key, message) {
+    const payload = this.signingPayload(message);
+
+    if (key.secret) {
+      return this.crypto.createHmac('sha256', key.secret).update(payload).digest('base64');
+    }
+    return this.crypto.sign(null, Buffer.from(payload), key.private_key).toString('base64');
+  }
+
+  /**
+   * Check a signature against a source key
+   */
+  verifyWith(key, message, signature) {
+    const payload = this.signingPayload(message);
+
+    try {
+      if (key.secret) {
+        const expected = Buffer.from(this.crypto.createHmac('sha256', key.secret).update(payload).digest('base64'));
+        const actual = Buffer.from(String(signature));
+        return expected.length === actual.length && this.crypto.timingSafeEqual(expected, actual);
+      }
+      return this.crypto.verify(null, Buffer.from(payload), key.public_key, Buffer.from(String(signature), 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Sign an outgoing message as this engine
+   */
+  sign(message) {
+    if (!this.signingKey) {
+      return { ...message, signed: false };
+    }
+    if (!this.crypto) {
+      return { ...message, signed: false, error: 'No crypto implementation available for signing' };
+    }
+
+    const signed = {
+      ...message,
+      source: message.source || this.identity,
+      nonce: message.nonce || this.crypto.randomBytes(16).toString('hex')
+    };
+
+    return {
+      ...signed,
+      algorithm: this.signingKey.secret ? 'hmac-sha256' : 'ed25519',
+      signature: this.signWith(this.signingKey, signed),
+      signed_by: this.identity
+    };
+  }
+
+  /**
+   * Verify an incoming signal: signature, timestamp window and nonce reuse
+   */
+  verifySignal(signal, now = Date.now()) {
+    const { source, signature, nonce, timestamp } = signal;
+
+    // Unsigned signals pass only when signatures are optional
+    if (signature === undefined) {
+      return this.required
+        ? this.reject('unsigned', source)
+        : { accepted: true, verified: false, reason: 'unsigned' };
+    }
+
+    const key = this.sourceKeys.get(source);
+    if (!key) {
+      return this.reject('unknown_source', source);
+    }
+    if (!this.crypto) {
+      return this.reject('crypto_unavailable', source);
+    }
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > this.timestampWindowMs) {
+      return this.reject('timestamp_outside_window', source);
+    }
+    if (!nonce) {
+      return this.reject('missing_nonce', source);
+    }
+
+    this.purgeNonces(now);
+    const nonceKey = `${source}:${nonce}`;
+    if (this.seenNonces.has(nonceKey)) {
+      return this.reject('replayed_nonce', source);
+    }
+
+    if (!this.verifyWith(key, signal, signature)) {
+      return this.reject('bad_signature', source);
+    }
+
+    // Past the window the timestamp check rejects it, so the nonce can be forgotten then
+    this.seenNonces.set(nonceKey, timestamp + this.timestampWindowMs);
+
+    return { accepted: true, verified: true, source };
+  }
+
+  /**
+   * Record and describe a rejected signal
+   */
+  reject(reason, source) {
+    this.rejections[reason] = (this.rejections[reason] || 0) + 1;
+    return { accepted: false, verified: false, reason, source };
+  }
+
+  /**
+   * Forget nonces whose timestamps have left the window
+   */
+  purgeNonces(now = Date.now()) {
+    this.seenNonces.forEach((expires, nonceKey) => {
+      if (expires < now) {
+        this.seenNonces.delete(nonceKey);
+      }
+    });
+  }
+
+  /**
+   * Auth status for monitoring (never includes key material)
+   */
+  getAuthStatus() {
+    return {
+      signatures_required: this.required,
+      timestamp_window_ms: this.timestampWindowMs,
+      trusted_sources: Array.from(this.sourceKeys.entries()).map(([source, key]) => ({
+        source,
+        algorithm: key.secret ? 'hmac-sha256' : 'ed25519'
+      })),
+      signs_outgoing: Boolean(this.signingKey),
+      tracked_nonces: this.seenNonces.size,
+      rejections: { ...this.rejections }
+    };
+  }
+
+  /**
+   * Export seen nonces and rejection counts for snapshots (keys are never exported)
+   */
+  exportState() {
+    return {
+      seen_nonces: Object.fromEntries(this.seenNonces),
+      rejections: { ...this.rejections }
+    };
+  }
+
+  /**
+   * Restore seen nonces and rejection counts from a snapshot
+   */
+  importState(state) {
+    this.seenNonces = new Map(Object.entries(state.seen_nonces));
+    this.rejections = { ...state.rejections };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SignalAuth;
+}
@@ -0,0 +1,57 @@
+/**
+ * In-Process Transport
+ * Delivers hydrogen sync messages to subscribers on the same page or process
+ */
+
+class InProcessTransport {
+  constructor() {
+    this.name = 'in_process';
+    this.subscribers = new Map();   // target -> [handler]
+  }
+
+  /**
+   * Receive messages sent to a target; returns a function that unsubscribes
+   */
+  subscribe(target, handler) {
+    const handlers = this.subscribers.get(target) || [];
+    handlers.push(handler);
+    this.subscribers.set(target, handlers);
+
+    return () => {
+      this.subscribers.set(target, (this.subscribers.get(target) || []).filter(h => h !== handler));
+    };
+  }
+
+  /**
+   * Call every subscriber for the message target (async subscribers resolve later)
+   */
+  send(message) {
+    const handlers = this.subscribers.get(message.to) || [];
+
+    // Nobody listening is not a broken link, so it does not count against bond health
+    if (handlers.length === 0) {
+      return { delivered: false, no_subscriber: true, error: `No in-process subscriber for ${message.to}` };
+    }
+
+    let results;
+    try {
+      results = handlers.map(handler => handler(message));
+    } catch (error) {
+      return { delivered: false, error: error.message };
+    }
+
+    if (results.some(r => r && typeof r.then === 'function')) {
+      return Promise.all(results).then(
+        () => ({ delivered: true, receivers: handlers.length }),
+        error => ({ delivered: false, error: error.message })
+      );
+    }
+
+    return { delivered: true, receivers: handlers.length };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InProcessTransport;
+}
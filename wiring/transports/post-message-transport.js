@@ -0,0 +1,49 @@
+/**
+ * Post Message Transport
+ * Sends hydrogen sync messages between tabs over a BroadcastChannel, or to a window or MessagePort
+ */
+
+class PostMessageTransport {
+  constructor(options = {}) {
+    const { channelName = 'infinity-hydrogen', port = null, targetOrigin = null } = options;
+
+    this.name = 'post_message';
+    this.targetOrigin = targetOrigin;   // required when posting to another window
+    this.port = port || (typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null);
+  }
+
+  /**
+   * Post the message; tabs give no receipt, so delivered means handed to the channel
+   */
+  send(message) {
+    if (!this.port) {
+      return { delivered: false, error: 'BroadcastChannel is not available' };
+    }
+
+    try {
+      if (this.targetOrigin) {
+        this.port.postMessage(message, this.targetOrigin);
+      } else {
+        this.port.postMessage(message);
+      }
+    } catch (error) {
+      return { delivered: false, error: error.message };
+    }
+
+    return { delivered: true, confirmed: false };
+  }
+
+  /**
+   * Close the channel
+   */
+  close() {
+    if (this.port && typeof this.port.close === 'function') {
+      this.port.close();
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PostMessageTransport;
+}
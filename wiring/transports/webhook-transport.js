@@ -0,0 +1,55 @@
+/**
+ * Webhook Transport
+ * POSTs hydrogen sync messages as JSON to a site's webhook URL
+ */
+
+class WebhookTransport {
+  constructor(options = {}) {
+    const { url, headers = {}, timeoutMs = 5000, fetch: fetchImpl = null } = options;
+
+    this.name = 'webhook';
+    this.url = url;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetchImpl || (typeof fetch !== 'undefined' ? fetch : null);
+  }
+
+  /**
+   * POST the message; delivered when the site answers with a 2xx status
+   */
+  async send(message) {
+    if (!this.fetch) {
+      return { delivered: false, error: 'fetch is not available' };
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+    try {
+      const response = await this.fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify(message),
+        signal: controller ? controller.signal : undefined
+      });
+
+      return response.ok
+        ? { delivered: true, confirmed: true, status: response.status }
+        : { delivered: false, status: response.status, error: `Webhook answered ${response.status}` };
+    } catch (error) {
+      return {
+        delivered: false,
+        error: error.name === 'AbortError' ? `Webhook timed out after ${this.timeoutMs}ms` : error.message
+      };
+    } finally {
+      if (timer) {
+        clearTimeout(timer);
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebhookTransport;
+}
@@ -0,0 +1,75 @@
+/**
+ * WebSocket Transport
+ * Sends hydrogen sync messages over a WebSocket, connecting on first use
+ */
+
+const WEBSOCKET_OPEN = 1;
+
+class WebSocketTransport {
+  constructor(options = {}) {
+    const { url = null, socket = null, WebSocketImpl = null, connectTimeoutMs = 5000 } = options;
+
+    this.name = 'websocket';
+    this.url = url;
+    this.socket = socket;
+    this.WebSocketImpl = WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.connectTimeoutMs = connectTimeoutMs;
+  }
+
+  /**
+   * Resolve with an open socket, opening one if needed
+   */
+  connect() {
+    if (this.socket && this.socket.readyState === WEBSOCKET_OPEN) {
+      return Promise.resolve(this.socket);
+    }
+
+    if (!this.socket || this.socket.readyState > WEBSOCKET_OPEN) {
+      if (!this.url || !this.WebSocketImpl) {
+        return Promise.reject(new Error('WebSocket is not available'));
+      }
+      this.socket = new this.WebSocketImpl(this.url);
+    }
+
+    const socket = this.socket;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`WebSocket did not open within ${this.connectTimeoutMs}ms`)), this.connectTimeoutMs);
+      socket.addEventListener('open', () => {
+        clearTimeout(timer);
+        resolve(socket);
+      }, { once: true });
+      socket.addEventListener('error', () => {
+        clearTimeout(timer);
+        reject(new Error('WebSocket connection failed'));
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Send the message once the socket is open
+   */
+  async send(message) {
+    try {
+      const socket = await this.connect();
+      socket.send(JSON.stringify(message));
+      return { delivered: true, confirmed: false };
+    } catch (error) {
+      return { delivered: false, error: error.message };
+    }
+  }
+
+  /**
+   * Close the socket
+   */
+  close() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebSocketTransport;
+}